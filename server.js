@@ -1,14 +1,28 @@
-// npm install express jsonwebtoken dotenv node-fetch
+// npm install express jsonwebtoken dotenv node-fetch chokidar
 // Create a .env file in the root directory and add:
 // JWT_SECRET=your_jwt_secret_here
 // PORT=3000
 // CLOUD_API_URL=https://api.example.com/mgnrega-data
+// DATA_SOURCE=csv (or "cloud")
+// CSV_FILE_PATH=./data.csv (comma-separated for several state exports)
+// SNAPSHOT_DIR=./.snapshots (where dataset snapshots are kept)
+// REFRESH_INTERVAL_MINUTES=60 (cloud source; 0 disables scheduled refresh)
+// WATCH_CSV=true (reload when a CSV source changes; "false" disables)
+// USERS_FILE=./.users.json (local user store)
+// ADMIN_USERNAME / ADMIN_PASSWORD (creates the first admin if no users exist)
+// REVOCATION_FILE=./.revoked-tokens.json (revoked token ids)
+// AUDIT_LOG_FILE=./.audit.jsonl (append-only audit log)
+// CONFIG_STORE_FILE=./.config-store.json (runtime edits to thresholds and ML flags)
 
 const express = require("express");
 const jwt = require("jsonwebtoken");
 const dotenv = require("dotenv");
 const fetch = require("node-fetch");
 const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const csv = require("csv-parser");
+const chokidar = require("chokidar");
 
 // Load environment variables
 dotenv.config();
@@ -26,18 +40,80 @@ app.use(express.static(path.join(__dirname)));
 const CONFIG = {
   CLOUD_API_URL:
     process.env.CLOUD_API_URL || "https://api.example.com/mgnrega-data",
+  DATA_SOURCE: process.env.DATA_SOURCE || "csv", // "csv" or "cloud"
+  // Comma-separated list, one export per state
+  CSV_FILE_PATHS: (
+    process.env.CSV_FILE_PATH || path.join(__dirname, "data.csv")
+  )
+    .split(",")
+    .map((filePath) => filePath.trim())
+    .filter((filePath) => filePath !== ""),
+  // Financial-year-to-date counters that only grow within a year. Repeated
+  // snapshots of a district-month are not in upload order, so the one with
+  // the highest first counter is the latest; later counters break ties.
+  CUMULATIVE_COUNTERS: ["Persondays_of_Central_Liability_so_far", "Total_Exp"],
+  REFRESH_GATES: {
+    minDistricts: 1,
+    minCompleteness: 80, // Percent of rows passing validation
+    maxDistrictDropPercent: 20, // Versus the dataset being replaced
+  },
+  REFRESH_SCHEDULE: {
+    cloudIntervalMinutes: Number(process.env.REFRESH_INTERVAL_MINUTES ?? 60),
+    watchCsvFiles: process.env.WATCH_CSV !== "false",
+    debounceMs: 2000, // Wait for writes to settle before reloading
+    historyLength: 50, // Refresh runs kept in the data-quality history
+  },
+  USERS_FILE: process.env.USERS_FILE || path.join(__dirname, ".users.json"),
+  TOKENS: {
+    guestSeconds: 60 * 60,
+    accessSeconds: 15 * 60,
+    streamTicketSeconds: 30,
+    refreshSeconds: 30 * 24 * 60 * 60,
+    revocationFile:
+      process.env.REVOCATION_FILE ||
+      path.join(__dirname, ".revoked-tokens.json"),
+  },
+  AUDIT_LOG_FILE:
+    process.env.AUDIT_LOG_FILE || path.join(__dirname, ".audit.jsonl"),
+  CONFIG_STORE_FILE:
+    process.env.CONFIG_STORE_FILE || path.join(__dirname, ".config-store.json"),
+  // Size bands used to scope analysis thresholds, by active workers
+  DISTRICT_SIZE: {
+    metric: "Total_No_of_Active_Workers",
+    bands: { small: 125000, large: 225000 }, // Below small / from large
+  },
+  RATE_LIMITS: {
+    windowMs: 60 * 1000,
+    // Requests per window; every request counts against its IP and, when
+    // it carries a valid token, against that token too
+    groups: {
+      auth: { perIp: 20 }, // Token minting and login
+      read: { perToken: 300, perIp: 600 },
+      ml: { perToken: 30, perIp: 60 }, // Model endpoints and state-wide scans
+      admin: { perToken: 20, perIp: 40 }, // Anything that changes state
+    },
+  },
+  SNAPSHOTS: {
+    // A dot-directory, so express.static never serves it
+    directory: process.env.SNAPSHOT_DIR || path.join(__dirname, ".snapshots"),
+    maxSnapshots: 20, // Oldest unpinned snapshots are pruned beyond this
+  },
   MAPPINGS: {
     districtId: "district_code",
     districtName: "district_name",
+    finYear: "fin_year",
+    month: "month",
     peopleEmployed: "Total_Individuals_Worked",
-    workAvailabilityValue: "Total_Individuals_Worked", // raw value for analysis
     paymentSpeedValue: "percentage_payments_gererated_within_15_days",
-    stateComparisonValue: "Total_Individuals_Worked", // placeholder, could be compared to state avg
+    stateCode: "state_code",
+    stateName: "state_name",
+    stateComparisonValue: "Total_Individuals_Worked", // metric compared to the state aggregate
     historicalEmployed: "Total_Individuals_Worked", // for simplicity, use array of last 6 values if available
   },
   ANALYSIS_RULES: {
+    // Bands on the composite WORK_AVAILABILITY score (0-100)
     workAvailability: {
-      thresholds: { high: 150000, medium: 75000 },
+      thresholds: { high: 60, medium: 40 },
       labels: { high: "High", medium: "Medium", low: "Low" },
       colors: { high: "green", medium: "yellow", low: "red" },
     },
@@ -51,12 +127,136 @@ const CONFIG = {
       if (value >= 1000) return `${(value / 1000).toFixed(2)} Thousand`;
       return value.toString();
     },
-    stateComparison: (value) => {
-      // Placeholder: assume "Better" if > 100000, else "Worse"
-      return value > 100000 ? "Better" : "Worse";
+    // Bands on the district's percentile rank within its state (0-100,
+    // direction-aware: higher always means better)
+    stateComparison: {
+      thresholds: { better: 60, average: 40 },
+      labels: { better: "Better", average: "Average", worse: "Worse" },
+      colors: { better: "green", average: "yellow", worse: "red" },
+    },
+  },
+  // Work availability is a weighted score of demand-side ratios, so large
+  // districts are not "High" just for their size. Each ratio scores
+  // 100 at its target; weights are relative and editable at runtime.
+  WORK_AVAILABILITY: {
+    components: {
+      participationRate: {
+        label: "Individuals worked per active worker",
+        numerator: "Total_Individuals_Worked",
+        denominator: "Total_No_of_Active_Workers",
+        target: 0.6,
+        weight: 0.35,
+      },
+      jobCardUtilisation: {
+        label: "Households worked per active job card",
+        numerator: "Total_Households_Worked",
+        denominator: "Total_No_of_Active_Job_Cards",
+        target: 0.6,
+        weight: 0.25,
+      },
+      guaranteeDays: {
+        label: "Average days per household against the 100-day guarantee",
+        numerator: "Average_days_of_employment_provided_per_Household",
+        denominator: null,
+        target: 100,
+        weight: 0.25,
+      },
+      hundredDayCompletion: {
+        label: "Households completing 100 days",
+        numerator: "Total_No_of_HHs_completed_100_Days_of_Wage_Employment",
+        denominator: "Total_Households_Worked",
+        target: 0.05,
+        weight: 0.15,
+      },
+    },
+  },
+  // Composite district performance index (GET /api/index). Each component
+  // is normalised across the districts of the same state and month
+  // ("minmax" to 0-100 or "zscore"), then combined by relative weight.
+  PERFORMANCE_INDEX: {
+    normalisation: "minmax",
+    components: {
+      timelyPayments: {
+        label: "Payments generated within 15 days",
+        numerator: "percentage_payments_gererated_within_15_days",
+        denominator: null,
+        weight: 0.2,
+      },
+      hundredDayCompletion: {
+        label: "Households completing 100 days",
+        numerator: "Total_No_of_HHs_completed_100_Days_of_Wage_Employment",
+        denominator: "Total_Households_Worked",
+        weight: 0.2,
+      },
+      womenParticipation: {
+        label: "Women's share of persondays",
+        numerator: "Women_Persondays",
+        denominator: "Persondays_of_Central_Liability_so_far",
+        weight: 0.15,
+      },
+      scStInclusion: {
+        label: "SC and ST share of persondays",
+        numerator: ["SC_persondays", "ST_persondays"],
+        denominator: "Persondays_of_Central_Liability_so_far",
+        weight: 0.15,
+      },
+      nrmExpenditure: {
+        label: "Expenditure on natural resource management",
+        numerator: "percent_of_NRM_Expenditure",
+        denominator: null,
+        weight: 0.15,
+      },
+      worksCompletion: {
+        label: "Works completed out of works taken up",
+        numerator: "Number_of_Completed_Works",
+        denominator: "Total_No_of_Works_Takenup",
+        weight: 0.15,
+      },
     },
-    stateComparisonColor: (value) => {
-      return value > 100000 ? "green" : "red";
+  },
+  // Social inclusion shares, in percent (GET /api/inclusion/:districtId). A
+  // measure is flagged when it falls more than `tolerance` percentage points
+  // below its fixed `target` or below the current value of its `benchmark`.
+  INCLUSION: {
+    trendTolerance: 0.1, // Percentage points per month treated as flat
+    measures: {
+      women: {
+        label: "Women's share of persondays",
+        numerator: "Women_Persondays",
+        denominator: "Persondays_of_Central_Liability_so_far",
+        // At least one-third of beneficiaries must be women (Schedule II)
+        target: 100 / 3,
+        tolerance: 0,
+      },
+      scPersondays: {
+        label: "SC share of persondays",
+        numerator: "SC_persondays",
+        denominator: "Persondays_of_Central_Liability_so_far",
+        benchmark: "scWorkers",
+        tolerance: 2,
+      },
+      stPersondays: {
+        label: "ST share of persondays",
+        numerator: "ST_persondays",
+        denominator: "Persondays_of_Central_Liability_so_far",
+        benchmark: "stWorkers",
+        tolerance: 2,
+      },
+      scWorkers: {
+        label: "SC share of active workers",
+        numerator: "SC_workers_against_active_workers",
+        denominator: "Total_No_of_Active_Workers",
+      },
+      stWorkers: {
+        label: "ST share of active workers",
+        numerator: "ST_workers_against_active_workers",
+        denominator: "Total_No_of_Active_Workers",
+      },
+      differentlyAbled: {
+        label: "Differently-abled share of individuals worked",
+        numerator: "Differently_abled_persons_worked",
+        denominator: "Total_Individuals_Worked",
+      },
     },
   },
   ML_FEATURES: {
@@ -67,8 +267,544 @@ const CONFIG = {
     anomalyDetection: true, // Detect unusual performance
     clustering: true, // Group districts by patterns
   },
+  PAYMENT_CLASSIFIER: {
+    // Metric ids used as model inputs
+    features: [
+      "Wages",
+      "Total_Exp",
+      "Number_of_Ongoing_Works",
+      "Total_Adm_Expenditure",
+    ],
+    learningRate: 0.1,
+    epochs: 500,
+    l2: 0.001, // Ridge penalty on the weights
+  },
+  FORECASTING: {
+    seasonalPeriod: 12, // Months per season; Holt-Winters needs two full seasons
+    defaultHorizon: 1,
+    maxHorizon: 12,
+    dashboardHorizon: 3, // Months forecast on the dashboard chart
+    gridStep: 0.1, // Step of the smoothing-parameter grid search
+  },
+  EVALUATION: {
+    minTrainingMonths: 3, // History needed before the first backtest origin
+    mapeThresholds: { high: 10, medium: 25 }, // % error for high/medium
+    accuracyThresholds: { high: 0.8, medium: 0.6 },
+    minDistrictSamples: 3, // Below this, district confidence uses the overall error
+  },
+  CLUSTERING: {
+    defaultK: 3,
+    maxK: 10,
+    defaultFeatures: [
+      "Total_Individuals_Worked",
+      "percentage_payments_gererated_within_15_days",
+    ],
+    maxIterations: 100,
+    tolerance: 1e-6, // Stop when no centroid moves further (standardised units)
+    restarts: 10, // Independent k-means++ runs; the lowest inertia wins
+    seed: 42, // Fixed seed so the same data always gives the same clusters
+  },
+  ANOMALY_DETECTION: {
+    zScoreThreshold: 2, // Single-district check against its own recent months
+    robustThreshold: 3.5, // Modified z-score (median/MAD) for the state scan
+    highSeverityThreshold: 7, // Findings at or beyond this are "high"
+    minPeers: 5, // Fewer districts in the state skips the peer check
+    minHistory: 3, // Prior month-over-month changes needed for the history check
+    // Peer comparison only makes sense for values independent of district size
+    peerUnits: ["percent", "rupees", "days"],
+    defaultMetrics: [
+      "Total_Individuals_Worked",
+      "Total_Households_Worked",
+      "Persondays_of_Central_Liability_so_far",
+      "Wages",
+      "Total_Exp",
+      "Average_Wage_rate_per_day_per_person",
+      "Average_days_of_employment_provided_per_Household",
+      "percentage_payments_gererated_within_15_days",
+      "percent_of_Category_B_Works",
+      "percent_of_Expenditure_on_Agriculture_Allied_Works",
+      "percent_of_NRM_Expenditure",
+    ],
+  },
+};
+
+// Metric Registry
+// Formatters by unit, used to render any registered metric for display
+const METRIC_FORMATTERS = {
+  persons: (value) => CONFIG.ANALYSIS_RULES.peopleEmployed(Math.round(value)),
+  households: (value) =>
+    CONFIG.ANALYSIS_RULES.peopleEmployed(Math.round(value)),
+  persondays: (value) =>
+    CONFIG.ANALYSIS_RULES.peopleEmployed(Math.round(value)),
+  count: (value) => Math.round(value).toLocaleString("en-IN"),
+  percent: (value) => `${value.toFixed(2)}%`,
+  rupees: (value) => `₹${value.toFixed(2)}`,
+  rupeesLakh: (value) => `₹${value.toFixed(2)} Lakh`,
+  days: (value) => `${value.toFixed(1)} days`,
 };
 
+// Every indicator in the MGNREGA export that can be served by the metrics
+// API. `direction` says whether a higher value is "higher" (good), "lower"
+// (good) or "neutral" (context only).
+const METRIC_REGISTRY = [
+  {
+    id: "Approved_Labour_Budget",
+    column: "Approved_Labour_Budget",
+    label: "Approved Labour Budget",
+    unit: "persondays",
+    direction: "neutral",
+    helpText: "Persondays of work approved in the district's labour budget.",
+  },
+  {
+    id: "Average_Wage_rate_per_day_per_person",
+    column: "Average_Wage_rate_per_day_per_person",
+    label: "Average Wage Rate",
+    unit: "rupees",
+    direction: "higher",
+    helpText: "Average wage paid per day per person.",
+  },
+  {
+    id: "Average_days_of_employment_provided_per_Household",
+    column: "Average_days_of_employment_provided_per_Household",
+    label: "Average Days per Household",
+    unit: "days",
+    direction: "higher",
+    helpText:
+      "Average days of employment provided per household, against the 100-day guarantee.",
+  },
+  {
+    id: "Differently_abled_persons_worked",
+    column: "Differently_abled_persons_worked",
+    label: "Differently Abled Persons Worked",
+    unit: "persons",
+    direction: "higher",
+    helpText: "Number of differently abled persons who worked.",
+  },
+  {
+    id: "Material_and_skilled_Wages",
+    column: "Material_and_skilled_Wages",
+    label: "Material and Skilled Wages",
+    unit: "rupeesLakh",
+    direction: "neutral",
+    helpText: "Expenditure on material and skilled wages.",
+  },
+  {
+    id: "Number_of_Completed_Works",
+    column: "Number_of_Completed_Works",
+    label: "Completed Works",
+    unit: "count",
+    direction: "higher",
+    helpText: "Number of works completed so far in the financial year.",
+  },
+  {
+    id: "Number_of_GPs_with_NIL_exp",
+    column: "Number_of_GPs_with_NIL_exp",
+    label: "Gram Panchayats with Nil Expenditure",
+    unit: "count",
+    direction: "lower",
+    helpText: "Gram Panchayats that have not spent anything under the scheme.",
+  },
+  {
+    id: "Number_of_Ongoing_Works",
+    column: "Number_of_Ongoing_Works",
+    label: "Ongoing Works",
+    unit: "count",
+    direction: "neutral",
+    helpText: "Number of works currently in progress.",
+  },
+  {
+    id: "Persondays_of_Central_Liability_so_far",
+    column: "Persondays_of_Central_Liability_so_far",
+    label: "Persondays Generated",
+    unit: "persondays",
+    direction: "higher",
+    helpText: "Persondays of central liability generated so far.",
+  },
+  {
+    id: "SC_persondays",
+    column: "SC_persondays",
+    label: "SC Persondays",
+    unit: "persondays",
+    direction: "higher",
+    helpText: "Persondays worked by Scheduled Caste workers.",
+  },
+  {
+    id: "SC_workers_against_active_workers",
+    column: "SC_workers_against_active_workers",
+    label: "SC Workers",
+    unit: "persons",
+    direction: "higher",
+    helpText: "Scheduled Caste workers among active workers.",
+  },
+  {
+    id: "ST_persondays",
+    column: "ST_persondays",
+    label: "ST Persondays",
+    unit: "persondays",
+    direction: "higher",
+    helpText: "Persondays worked by Scheduled Tribe workers.",
+  },
+  {
+    id: "ST_workers_against_active_workers",
+    column: "ST_workers_against_active_workers",
+    label: "ST Workers",
+    unit: "persons",
+    direction: "higher",
+    helpText: "Scheduled Tribe workers among active workers.",
+  },
+  {
+    id: "Total_Adm_Expenditure",
+    column: "Total_Adm_Expenditure",
+    label: "Administrative Expenditure",
+    unit: "rupeesLakh",
+    direction: "lower",
+    helpText: "Administrative expenditure incurred.",
+  },
+  {
+    id: "Total_Exp",
+    column: "Total_Exp",
+    label: "Total Expenditure",
+    unit: "rupeesLakh",
+    direction: "neutral",
+    helpText: "Total expenditure under the scheme.",
+  },
+  {
+    id: "Total_Households_Worked",
+    column: "Total_Households_Worked",
+    label: "Households Worked",
+    unit: "households",
+    direction: "higher",
+    helpText: "Number of households that got work.",
+  },
+  {
+    id: "Total_Individuals_Worked",
+    column: "Total_Individuals_Worked",
+    label: "Individuals Worked",
+    unit: "persons",
+    direction: "higher",
+    helpText: "Number of people employed under MGNREGA in the district.",
+  },
+  {
+    id: "Total_No_of_Active_Job_Cards",
+    column: "Total_No_of_Active_Job_Cards",
+    label: "Active Job Cards",
+    unit: "count",
+    direction: "neutral",
+    helpText: "Job cards with at least one active worker.",
+  },
+  {
+    id: "Total_No_of_Active_Workers",
+    column: "Total_No_of_Active_Workers",
+    label: "Active Workers",
+    unit: "persons",
+    direction: "neutral",
+    helpText: "Workers who have worked in the current or previous two years.",
+  },
+  {
+    id: "Total_No_of_HHs_completed_100_Days_of_Wage_Employment",
+    column: "Total_No_of_HHs_completed_100_Days_of_Wage_Employment",
+    label: "Households Completing 100 Days",
+    unit: "households",
+    direction: "higher",
+    helpText: "Households that received the full 100 days of guaranteed work.",
+  },
+  {
+    id: "Total_No_of_JobCards_issued",
+    column: "Total_No_of_JobCards_issued",
+    label: "Job Cards Issued",
+    unit: "count",
+    direction: "neutral",
+    helpText: "Total job cards issued in the district.",
+  },
+  {
+    id: "Total_No_of_Workers",
+    column: "Total_No_of_Workers",
+    label: "Registered Workers",
+    unit: "persons",
+    direction: "neutral",
+    helpText: "Total workers registered on job cards.",
+  },
+  {
+    id: "Total_No_of_Works_Takenup",
+    column: "Total_No_of_Works_Takenup",
+    label: "Works Taken Up",
+    unit: "count",
+    direction: "neutral",
+    helpText: "Number of works taken up (new and spill-over).",
+  },
+  {
+    id: "Wages",
+    column: "Wages",
+    label: "Wage Expenditure",
+    unit: "rupeesLakh",
+    direction: "neutral",
+    helpText: "Expenditure on unskilled wages.",
+  },
+  {
+    id: "Women_Persondays",
+    column: "Women_Persondays",
+    label: "Women Persondays",
+    unit: "persondays",
+    direction: "higher",
+    helpText: "Persondays worked by women.",
+  },
+  {
+    id: "percent_of_Category_B_Works",
+    column: "percent_of_Category_B_Works",
+    label: "Category B Works",
+    unit: "percent",
+    direction: "neutral",
+    helpText: "Share of works on individual land (Category B).",
+  },
+  {
+    id: "percent_of_Expenditure_on_Agriculture_Allied_Works",
+    column: "percent_of_Expenditure_on_Agriculture_Allied_Works",
+    label: "Agriculture & Allied Expenditure",
+    unit: "percent",
+    direction: "higher",
+    helpText: "Share of expenditure on agriculture and allied works.",
+  },
+  {
+    id: "percent_of_NRM_Expenditure",
+    column: "percent_of_NRM_Expenditure",
+    label: "NRM Expenditure",
+    unit: "percent",
+    direction: "higher",
+    helpText: "Share of expenditure on natural resource management works.",
+  },
+  {
+    id: "percentage_payments_gererated_within_15_days",
+    column: "percentage_payments_gererated_within_15_days",
+    label: "Payments Within 15 Days",
+    unit: "percent",
+    direction: "higher",
+    helpText:
+      "This indicates how quickly payments are processed and disbursed to workers.",
+  },
+];
+
+const METRICS_BY_ID = {};
+METRIC_REGISTRY.forEach((metric) => {
+  METRICS_BY_ID[metric.id] = metric;
+});
+
+// Reads a registered metric from a row; missing or "NA" values give null
+function getMetricValue(row, metric) {
+  const value = row ? row[metric.column] : undefined;
+  return isValidNumeric(value) ? parseFloat(value) : null;
+}
+
+function formatMetricValue(metric, value) {
+  if (value === null || value === undefined) return "Data Not Available";
+  const formatter = METRIC_FORMATTERS[metric.unit] || METRIC_FORMATTERS.count;
+  return formatter(value);
+}
+
+function describeMetric(metric) {
+  return {
+    id: metric.id,
+    column: metric.column,
+    label: metric.label,
+    unit: metric.unit,
+    direction: metric.direction,
+    helpText: metric.helpText,
+  };
+}
+
+// State Aggregates
+// stateAggregates[state][periodKey][metricId] = { count, mean, median, values }
+let stateAggregates = {};
+
+// Rows without a state_code (sample and some cloud feeds) fall back to the
+// state name so they still group consistently
+function getDistrictState(raw) {
+  if (isValidString(raw[CONFIG.MAPPINGS.stateCode]))
+    return raw[CONFIG.MAPPINGS.stateCode].trim();
+  if (isValidString(raw[CONFIG.MAPPINGS.stateName]))
+    return raw[CONFIG.MAPPINGS.stateName].trim();
+  return "UNKNOWN";
+}
+
+// District codes are only unique within a state, so served ids combine
+// both: "31_3109". Rows without a state code keep the bare district code.
+function makeDistrictId(row) {
+  const districtCode = String(row[CONFIG.MAPPINGS.districtId]).trim();
+  return isValidString(row[CONFIG.MAPPINGS.stateCode])
+    ? `${row[CONFIG.MAPPINGS.stateCode].trim()}_${districtCode}`
+    : districtCode;
+}
+
+// Accepts a full district id or, when unambiguous, a bare district code
+function resolveDistrictId(districtId) {
+  if (csvData[districtId]) return districtId;
+  const matches = Object.keys(csvData).filter(
+    (id) =>
+      String(csvData[id].raw[CONFIG.MAPPINGS.districtId]).trim() === districtId
+  );
+  return matches.length === 1 ? matches[0] : null;
+}
+
+function median(sortedValues) {
+  const n = sortedValues.length;
+  if (n === 0) return null;
+  const mid = Math.floor(n / 2);
+  return n % 2 === 0
+    ? (sortedValues[mid - 1] + sortedValues[mid]) / 2
+    : sortedValues[mid];
+}
+
+// Rebuilds per-state, per-month, per-metric aggregates from csvData
+function refreshStateAggregates() {
+  const aggregates = {};
+  Object.keys(csvData).forEach((districtId) => {
+    const districtData = csvData[districtId];
+    const state = getDistrictState(districtData.raw);
+    if (!aggregates[state]) aggregates[state] = {};
+
+    (districtData.history || []).forEach((entry) => {
+      const periodKey = entry.period.key;
+      if (!aggregates[state][periodKey]) aggregates[state][periodKey] = {};
+      METRIC_REGISTRY.forEach((metric) => {
+        const value = getMetricValue(entry.row, metric);
+        if (value === null) return;
+        if (!aggregates[state][periodKey][metric.id]) {
+          aggregates[state][periodKey][metric.id] = { values: [] };
+        }
+        aggregates[state][periodKey][metric.id].values.push(value);
+      });
+    });
+  });
+
+  Object.values(aggregates).forEach((periods) => {
+    Object.values(periods).forEach((metrics) => {
+      Object.values(metrics).forEach((bucket) => {
+        bucket.values.sort((a, b) => a - b);
+        bucket.count = bucket.values.length;
+        bucket.mean = bucket.values.reduce((a, b) => a + b, 0) / bucket.count;
+        bucket.median = median(bucket.values);
+      });
+    });
+  });
+
+  stateAggregates = aggregates;
+  logDataQuality(
+    `State aggregates computed for ${Object.keys(aggregates).length} state(s)`
+  );
+}
+
+// Compares a district's value for one metric and month against its state.
+// percentileRank is the share of districts it does better than, taking the
+// metric's direction into account; rank 1 is the best district.
+function compareToState(raw, entry, metric) {
+  if (!entry) return null;
+  const value = getMetricValue(entry.row, metric);
+  const bucket = ((stateAggregates[getDistrictState(raw)] || {})[
+    entry.period.key
+  ] || {})[metric.id];
+  if (value === null || !bucket) return null;
+
+  const below = bucket.values.filter((v) => v < value).length;
+  const above = bucket.values.filter((v) => v > value).length;
+  const equal = bucket.count - below - above;
+  const rawPercentile = ((below + 0.5 * equal) / bucket.count) * 100;
+  const lowerIsBetter = metric.direction === "lower";
+
+  return {
+    metric: metric.id,
+    month: entry.period.key,
+    value,
+    stateMean: bucket.mean,
+    stateMedian: bucket.median,
+    delta: value - bucket.mean,
+    deltaPercent:
+      bucket.mean !== 0 ? ((value - bucket.mean) / bucket.mean) * 100 : null,
+    percentileRank: lowerIsBetter ? 100 - rawPercentile : rawPercentile,
+    rank: 1 + (lowerIsBetter ? below : above),
+    districtCount: bucket.count,
+  };
+}
+
+// Reads a score component's ratio from a row: the numerator column (or the
+// sum of several) over the denominator column, if any. Null when an input
+// is missing or the denominator is not positive.
+function readComponentRatio(raw, component) {
+  const numerators = [].concat(component.numerator);
+  const values = numerators.map((id) => getMetricValue(raw, METRICS_BY_ID[id]));
+  if (values.includes(null)) return null;
+  const numerator = values.reduce((sum, value) => sum + value, 0);
+  if (!component.denominator) return numerator;
+  const denominator = getMetricValue(raw, METRICS_BY_ID[component.denominator]);
+  return denominator !== null && denominator > 0
+    ? numerator / denominator
+    : null;
+}
+
+// Composite work availability for a row. Each component's ratio is scored
+// against its target (capped at 100) and weighted; components with missing
+// inputs are left out and the other weights rescaled. Null when no
+// component can be computed.
+function scoreWorkAvailability(raw) {
+  const components = Object.entries(CONFIG.WORK_AVAILABILITY.components).map(
+    ([id, component]) => {
+      const value = readComponentRatio(raw, component);
+      return {
+        id,
+        label: component.label,
+        numerator: component.numerator,
+        denominator: component.denominator,
+        value,
+        target: component.target,
+        score:
+          value === null
+            ? null
+            : Math.round(Math.min(100, (value / component.target) * 100) * 10) /
+              10,
+        weight: component.weight,
+      };
+    }
+  );
+
+  const available = components.filter((component) => component.score !== null);
+  const totalWeight = available.reduce(
+    (sum, component) => sum + component.weight,
+    0
+  );
+  if (available.length === 0 || totalWeight <= 0) return null;
+
+  let score = 0;
+  components.forEach((component) => {
+    component.contribution =
+      component.score === null
+        ? null
+        : Math.round(
+            ((component.score * component.weight) / totalWeight) * 10
+          ) / 10;
+    if (component.score !== null)
+      score += (component.score * component.weight) / totalWeight;
+  });
+  return {
+    score: Math.round(score * 10) / 10,
+    components,
+    missing: components
+      .filter((component) => component.score === null)
+      .map((component) => component.id),
+  };
+}
+
+function classifyWorkAvailability(score, thresholds) {
+  if (score > thresholds.high) return "high";
+  return score > thresholds.medium ? "medium" : "low";
+}
+
+function classifyStateComparison(
+  percentileRank,
+  thresholds = CONFIG.ANALYSIS_RULES.stateComparison.thresholds
+) {
+  if (percentileRank >= thresholds.better) return "better";
+  if (percentileRank >= thresholds.average) return "average";
+  return "worse";
+}
+
 // Machine Learning Functions
 function simpleLinearRegression(x, y) {
   const n = x.length;
@@ -102,181 +838,1308 @@ function predictEmploymentMissing(historical) {
   return Math.max(0, predictLinearRegression(nextX, slope, intercept));
 }
 
-function classifyPaymentSpeed(employment, historical) {
+// Trained payment-speed model, refreshed after every data load
+let paymentSpeedModel = null;
+
+// Labelled samples ({ x, label, districtId, periodKey }) from every month
+// where the payment percentage and all features are known. `includeEntry`
+// can restrict which months are used (e.g. for backtesting).
+function buildPaymentSpeedSamples(features, includeEntry = () => true) {
+  const target = METRICS_BY_ID[CONFIG.MAPPINGS.paymentSpeedValue];
+  const samples = [];
+  Object.keys(csvData).forEach((districtId) => {
+    (csvData[districtId].history || []).forEach((entry) => {
+      if (!includeEntry(entry)) return;
+      const actual = getMetricValue(entry.row, target);
+      const x = features.map((feature) => getMetricValue(entry.row, feature));
+      if (actual === null || x.some((value) => value === null)) return;
+      samples.push({
+        x,
+        label: paymentSpeedCategory(actual),
+        districtId,
+        periodKey: entry.period.key,
+      });
+    });
+  });
+  return samples;
+}
+
+function softmax(scores) {
+  const max = Math.max(...scores);
+  const exps = scores.map((score) => Math.exp(score - max));
+  const total = exps.reduce((a, b) => a + b, 0);
+  return exps.map((value) => value / total);
+}
+
+// Multinomial logistic regression trained by full-batch gradient descent on
+// standardised features
+function trainSoftmaxClassifier(samples, classes, features) {
+  const { learningRate, epochs, l2 } = CONFIG.PAYMENT_CLASSIFIER;
+  const { scaled, means, stdDevs } = standardizeColumns(
+    samples.map((sample) => sample.x)
+  );
+  const dims = features.length;
+  const weights = classes.map(() => new Array(dims).fill(0));
+  const bias = classes.map(() => 0);
+  const targets = samples.map((sample) => classes.indexOf(sample.label));
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradW = classes.map(() => new Array(dims).fill(0));
+    const gradB = classes.map(() => 0);
+    scaled.forEach((x, i) => {
+      const probabilities = softmax(
+        weights.map(
+          (w, c) => bias[c] + w.reduce((sum, wd, d) => sum + wd * x[d], 0)
+        )
+      );
+      probabilities.forEach((p, c) => {
+        const error = p - (targets[i] === c ? 1 : 0);
+        gradB[c] += error;
+        for (let d = 0; d < dims; d++) gradW[c][d] += error * x[d];
+      });
+    });
+    for (let c = 0; c < classes.length; c++) {
+      bias[c] -= (learningRate * gradB[c]) / scaled.length;
+      for (let d = 0; d < dims; d++) {
+        weights[c][d] -=
+          learningRate * (gradW[c][d] / scaled.length + l2 * weights[c][d]);
+      }
+    }
+  }
+
+  const model = {
+    features: features.map((feature) => feature.id),
+    classes,
+    weights,
+    bias,
+    means,
+    stdDevs,
+  };
+  const correct = samples.filter(
+    (sample) => predictSoftmaxClassifier(model, sample.x).label === sample.label
+  ).length;
+  model.trainingSamples = samples.length;
+  model.trainingAccuracy = samples.length > 0 ? correct / samples.length : null;
+
+  // On standardised inputs, the mean absolute weight across classes measures
+  // how strongly each feature moves the prediction
+  const raw = features.map(
+    (_, d) =>
+      weights.reduce((sum, w) => sum + Math.abs(w[d]), 0) / classes.length
+  );
+  const total = raw.reduce((a, b) => a + b, 0);
+  model.featureImportance = features.map((feature, d) => ({
+    feature: feature.id,
+    importance: total > 0 ? raw[d] / total : 0,
+  }));
+  return model;
+}
+
+function predictSoftmaxClassifier(model, x) {
+  const scaled = x.map((value, d) =>
+    model.stdDevs[d] > 0 ? (value - model.means[d]) / model.stdDevs[d] : 0
+  );
+  const probabilities = softmax(
+    model.weights.map(
+      (w, c) =>
+        model.bias[c] + w.reduce((sum, wd, d) => sum + wd * scaled[d], 0)
+    )
+  );
+  let best = 0;
+  probabilities.forEach((p, c) => {
+    if (p > probabilities[best]) best = c;
+  });
+  const byClass = {};
+  model.classes.forEach((label, c) => {
+    byClass[label] = probabilities[c];
+  });
+  return { label: model.classes[best], probabilities: byClass };
+}
+
+// Trains a payment-speed model on the given samples, or null if there is
+// too little to learn from
+function fitPaymentSpeedModel(samples, features) {
+  const classes = Object.values(CONFIG.ANALYSIS_RULES.paymentSpeed.labels);
+  if (samples.length < features.length + 1) return null;
+  return trainSoftmaxClassifier(samples, classes, features);
+}
+
+// (Re)trains the served payment-speed model on all labelled months
+function trainPaymentSpeedModel(
+  featureIds = CONFIG.PAYMENT_CLASSIFIER.features
+) {
+  if (!CONFIG.ML_FEATURES.enabled || !CONFIG.ML_FEATURES.classification) {
+    paymentSpeedModel = null;
+    return null;
+  }
+  const features = featureIds.map((id) => METRICS_BY_ID[id]);
+  const model = fitPaymentSpeedModel(
+    buildPaymentSpeedSamples(features),
+    features
+  );
+  paymentSpeedModel = model
+    ? { ...model, trainedAt: new Date().toISOString() }
+    : null;
+  logDataQuality(
+    paymentSpeedModel
+      ? `Payment-speed classifier trained on ${
+          paymentSpeedModel.trainingSamples
+        } samples, training accuracy ${(
+          paymentSpeedModel.trainingAccuracy * 100
+        ).toFixed(1)}%`
+      : "Payment-speed classifier not trained: not enough labelled data",
+    paymentSpeedModel ? "info" : "warn"
+  );
+  return paymentSpeedModel;
+}
+
+// Predicts the payment-speed category of a data row from the model features.
+// Returns { label, probabilities } or null if the model or inputs are missing.
+function classifyPaymentSpeed(row, model = paymentSpeedModel) {
   if (!CONFIG.ML_FEATURES.enabled || !CONFIG.ML_FEATURES.classification)
     return null;
+  if (!model || !row) return null;
+
+  const x = model.features.map((id) => getMetricValue(row, METRICS_BY_ID[id]));
+  if (x.some((value) => value === null)) return null;
+  return predictSoftmaxClassifier(model, x);
+}
+
+// Holt's linear (level + trend) smoothing. Returns the final state and the
+// one-step-ahead residuals used to fit parameters and size intervals.
+function fitHolt(series, alpha, beta) {
+  let level = series[0];
+  let trend = series[1] - series[0];
+  const residuals = [];
+  for (let t = 2; t < series.length; t++) {
+    const forecast = level + trend;
+    residuals.push(series[t] - forecast);
+    const newLevel = alpha * series[t] + (1 - alpha) * forecast;
+    trend = beta * (newLevel - level) + (1 - beta) * trend;
+    level = newLevel;
+  }
+  return {
+    residuals,
+    predict: (h) => level + h * trend,
+  };
+}
+
+// Additive Holt-Winters, seeded from the first two seasons
+function fitHoltWinters(series, period, alpha, beta, gamma) {
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+  const firstSeason = series.slice(0, period);
+  let level = mean(firstSeason);
+  let trend = (mean(series.slice(period, 2 * period)) - level) / period;
+  const seasonals = firstSeason.map((value) => value - level);
+  const residuals = [];
+
+  for (let t = period; t < series.length; t++) {
+    const s = t % period;
+    const forecast = level + trend + seasonals[s];
+    residuals.push(series[t] - forecast);
+    const newLevel =
+      alpha * (series[t] - seasonals[s]) + (1 - alpha) * (level + trend);
+    trend = beta * (newLevel - level) + (1 - beta) * trend;
+    seasonals[s] = gamma * (series[t] - newLevel) + (1 - gamma) * seasonals[s];
+    level = newLevel;
+  }
+  return {
+    residuals,
+    predict: (h) =>
+      level + h * trend + seasonals[(series.length + h - 1) % period],
+  };
+}
+
+function sumOfSquares(values) {
+  return values.reduce((sum, v) => sum + v * v, 0);
+}
 
-  // Simple rule-based classification based on employment trends
-  const avgEmployment =
-    historical.reduce((a, b) => a + b, 0) / historical.length;
-  const trend = employment > avgEmployment ? "improving" : "declining";
+// Monthly flows of a financial-year-to-date series: each month's increase
+// over the previous month of the same financial year. The counter restarts
+// every April, so April is its own flow; a year that starts later in the
+// series is missing its earlier months and its first total is dropped.
+// Without `periods` the series is taken to lie within one financial year.
+function toMonthlyFlows(values, periods) {
+  return values.flatMap((value, i) => {
+    if (!periods) return [i === 0 ? value : value - values[i - 1]];
+    if (
+      i > 0 &&
+      financialYearOf(periods[i]) === financialYearOf(periods[i - 1])
+    )
+      return [value - values[i - 1]];
+    return periods[i].endsWith("-04") ? [value] : [];
+  });
+}
 
-  // Map to payment speed categories based on employment performance
-  if (trend === "improving" && employment > 100000) return "Good";
-  if (trend === "improving" && employment > 50000) return "Okay";
-  return "Bad";
+// Start year of the financial year a YYYY-MM key falls in
+function financialYearOf(periodKey) {
+  const [year, month] = periodKey.split("-").map(Number);
+  return month >= 4 ? year : year - 1;
 }
 
-function forecastTimeSeries(historical) {
+// Forecasts `horizon` future values of a financial-year-to-date series such
+// as Total_Individuals_Worked. The model is fitted on the monthly flows
+// (see toMonthlyFlows) and the forecast flows are accumulated again, starting
+// from zero when a forecast month is April. Uses additive Holt-Winters when
+// two full seasons are available, Holt's linear trend when there are at
+// least 3 points, and the last flow otherwise. Smoothing parameters are
+// fitted by grid search on one-step-ahead squared error, and 80%/95%
+// intervals come from the residual standard deviation of the flows, widened
+// by sqrt(k) for k forecast flows accumulated in the year.
+function forecastTimeSeries(cumulative, horizon = 1, periods = null) {
   if (!CONFIG.ML_FEATURES.enabled || !CONFIG.ML_FEATURES.timeSeriesForecasting)
     return null;
+  if (!cumulative || cumulative.length === 0) return null;
+  if (periods && periods.length !== cumulative.length) periods = null;
+  const historical = toMonthlyFlows(cumulative, periods);
+  if (historical.length === 0) return null;
+
+  const { seasonalPeriod, gridStep } = CONFIG.FORECASTING;
+  const grid = [];
+  for (let v = gridStep; v < 1 - 1e-9; v += gridStep) {
+    grid.push(Math.round(v * 100) / 100);
+  }
 
-  // Simple exponential smoothing
-  const alpha = 0.3;
-  let smoothed = historical[0];
-  for (let i = 1; i < historical.length; i++) {
-    smoothed = alpha * historical[i] + (1 - alpha) * smoothed;
+  let best = null;
+  if (historical.length >= 2 * seasonalPeriod) {
+    grid.forEach((alpha) =>
+      grid.forEach((beta) =>
+        grid.forEach((gamma) => {
+          const fit = fitHoltWinters(
+            historical,
+            seasonalPeriod,
+            alpha,
+            beta,
+            gamma
+          );
+          const sse = sumOfSquares(fit.residuals);
+          if (!best || sse < best.sse)
+            best = {
+              fit,
+              sse,
+              method: "holt_winters_additive",
+              parameters: { alpha, beta, gamma, seasonalPeriod },
+            };
+        })
+      )
+    );
+  } else if (historical.length >= 3) {
+    grid.forEach((alpha) =>
+      grid.forEach((beta) => {
+        const fit = fitHolt(historical, alpha, beta);
+        const sse = sumOfSquares(fit.residuals);
+        if (!best || sse < best.sse)
+          best = {
+            fit,
+            sse,
+            method: "holt_linear",
+            parameters: { alpha, beta },
+          };
+      })
+    );
+  } else {
+    const last = historical[historical.length - 1];
+    best = {
+      fit: { residuals: [], predict: () => last },
+      method: "naive_last_value",
+      parameters: {},
+    };
+  }
+
+  const { residuals } = best.fit;
+  const residualStdDev =
+    residuals.length > 0
+      ? Math.sqrt(sumOfSquares(residuals) / residuals.length)
+      : null;
+
+  const forecasts = [];
+  let total = cumulative[cumulative.length - 1];
+  let flowsInYear = 0;
+  let periodKey = periods ? periods[periods.length - 1] : null;
+  for (let h = 1; h <= horizon; h++) {
+    periodKey = periodKey ? nextPeriodKey(periodKey) : null;
+    if (periodKey && periodKey.endsWith("-04")) {
+      total = 0;
+      flowsInYear = 0;
+    }
+    const flow = Math.max(0, best.fit.predict(h));
+    total += flow;
+    flowsInYear++;
+    const value = total;
+    const spread =
+      residualStdDev !== null ? residualStdDev * Math.sqrt(flowsInYear) : null;
+    forecasts.push({
+      step: h,
+      value,
+      flow,
+      lower80: spread !== null ? Math.max(0, value - 1.2816 * spread) : null,
+      upper80: spread !== null ? value + 1.2816 * spread : null,
+      lower95: spread !== null ? Math.max(0, value - 1.96 * spread) : null,
+      upper95: spread !== null ? value + 1.96 * spread : null,
+    });
   }
-  return Math.max(0, smoothed);
+
+  return {
+    method: best.method,
+    fittedOn: "monthly_flows",
+    parameters: best.parameters,
+    residualStdDev,
+    forecasts,
+  };
 }
 
 function detectAnomaly(value, historical) {
   if (!CONFIG.ML_FEATURES.enabled || !CONFIG.ML_FEATURES.anomalyDetection)
     return false;
 
+  if (!historical || historical.length < 2) return false;
+
   const mean = historical.reduce((a, b) => a + b, 0) / historical.length;
   const variance =
     historical.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) /
     historical.length;
   const stdDev = Math.sqrt(variance);
+  // A flat series has no spread to measure a deviation against
+  if (stdDev === 0) return false;
   const zScore = Math.abs((value - mean) / stdDev);
-  return zScore > 2; // Anomaly if more than 2 standard deviations
+  return zScore > CONFIG.ANOMALY_DETECTION.zScoreThreshold;
 }
 
-function clusterDistricts(districtsData) {
-  if (!CONFIG.ML_FEATURES.enabled || !CONFIG.ML_FEATURES.clustering) return {};
-
-  // Simple k-means clustering (k=3) based on employment and payment speed
-  const k = 3;
-  const centroids = [
-    { employment: 150000, paymentSpeed: 80 }, // High performing
-    { employment: 75000, paymentSpeed: 50 }, // Medium performing
-    { employment: 25000, paymentSpeed: 20 }, // Low performing
-  ];
-
-  const clusters = {};
-  districtsData.forEach((district) => {
-    let minDistance = Infinity;
-    let clusterId = 0;
-
-    centroids.forEach((centroid, index) => {
-      const distance = Math.sqrt(
-        Math.pow(district.employment - centroid.employment, 2) +
-          Math.pow(district.paymentSpeed - centroid.paymentSpeed, 2)
-      );
-      if (distance < minDistance) {
-        minDistance = distance;
-        clusterId = index;
-      }
-    });
-
-    if (!clusters[clusterId]) clusters[clusterId] = [];
-    clusters[clusterId].push(district.id);
-  });
-
-  return clusters;
+// Median, median absolute deviation and mean absolute deviation (around
+// the median) of a list of numbers
+function medianAbsoluteDeviation(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const center = median(sorted);
+  if (center === null) return null;
+  const deviations = sorted
+    .map((value) => Math.abs(value - center))
+    .sort((a, b) => a - b);
+  return {
+    median: center,
+    mad: median(deviations),
+    meanAbsDeviation: deviations.reduce((a, b) => a + b, 0) / deviations.length,
+  };
 }
 
-// Data Quality Helpers
-const dataQualityMetrics = {
-  totalRows: 0,
-  validRows: 0,
-  invalidRows: 0,
-  skippedDistricts: 0,
-  completenessScore: 0,
-};
+// Spreads below this are treated as zero (floating-point noise)
+const MIN_SPREAD = 1e-6;
 
-function logDataQuality(message, level = "info") {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] [${level.toUpperCase()}] ${message}`);
+// Modified z-score (Iglewicz & Hoaglin): 0.6745 * (x - median) / MAD. When
+// more than half the baseline is identical the MAD is zero, so the mean
+// absolute deviation is used instead. Returns null when the baseline has
+// no spread at all.
+function robustZScore(value, baseline) {
+  if (!baseline) return null;
+  if (baseline.mad > MIN_SPREAD)
+    return (0.6745 * (value - baseline.median)) / baseline.mad;
+  if (baseline.meanAbsDeviation > MIN_SPREAD)
+    return (value - baseline.median) / (1.2533 * baseline.meanAbsDeviation);
+  return null;
 }
 
-function isValidString(value) {
-  return (
-    value !== null &&
-    value !== undefined &&
-    typeof value === "string" &&
-    value.trim() !== ""
-  );
+// Deterministic PRNG (mulberry32) so clustering results are reproducible
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
-function isValidNumeric(value) {
-  return !isNaN(parseFloat(value)) && isFinite(value);
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) * (a[i] - b[i]);
+  return sum;
 }
 
-function parseNumericSafe(value, defaultValue = 0) {
-  if (isValidNumeric(value)) {
-    return parseFloat(value);
+// Scales each column to zero mean and unit variance so that features in
+// different units (people vs percentages) weigh equally
+function standardizeColumns(rows) {
+  const dims = rows[0].length;
+  const means = [];
+  const stdDevs = [];
+  for (let d = 0; d < dims; d++) {
+    const column = rows.map((row) => row[d]);
+    const mean = column.reduce((a, b) => a + b, 0) / column.length;
+    const variance =
+      column.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) /
+      column.length;
+    means.push(mean);
+    stdDevs.push(Math.sqrt(variance));
   }
-  logDataQuality(
-    `Invalid numeric value: ${value}, using default: ${defaultValue}`,
-    "warn"
-  );
-  return defaultValue;
+  return {
+    scaled: rows.map((row) =>
+      row.map((v, d) => (stdDevs[d] > 0 ? (v - means[d]) / stdDevs[d] : 0))
+    ),
+    means,
+    stdDevs,
+  };
 }
 
-function validateDistrictData(row) {
-  const districtId = row[CONFIG.MAPPINGS.districtId];
-  const districtName = row[CONFIG.MAPPINGS.districtName];
-  const peopleEmployed = row[CONFIG.MAPPINGS.peopleEmployed];
-  const paymentSpeed = row[CONFIG.MAPPINGS.paymentSpeedValue];
-
-  if (!isValidString(districtId)) {
-    logDataQuality(`Invalid districtId: ${districtId}`, "error");
-    return false;
-  }
-  if (!isValidString(districtName)) {
-    logDataQuality(
-      `Missing districtName for districtId: ${districtId}`,
-      "warn"
-    );
-  }
-  if (!isValidNumeric(peopleEmployed)) {
-    logDataQuality(
-      `Invalid peopleEmployed for districtId: ${districtId}: ${peopleEmployed}`,
-      "warn"
+// k-means++ seeding: each next centroid is drawn with probability
+// proportional to its squared distance from the nearest chosen one
+function initKMeansPlusPlus(points, k, random) {
+  const centroids = [points[Math.floor(random() * points.length)].slice()];
+  while (centroids.length < k) {
+    const distances = points.map((point) =>
+      Math.min(...centroids.map((c) => squaredDistance(point, c)))
     );
+    const total = distances.reduce((a, b) => a + b, 0);
+    if (total === 0) {
+      centroids.push(points[Math.floor(random() * points.length)].slice());
+      continue;
+    }
+    let target = random() * total;
+    let index = 0;
+    while (target > distances[index] && index < points.length - 1) {
+      target -= distances[index];
+      index++;
+    }
+    centroids.push(points[index].slice());
   }
-  if (!isValidNumeric(paymentSpeed)) {
-    logDataQuality(
-      `Invalid paymentSpeed for districtId: ${districtId}: ${paymentSpeed}`,
-      "warn"
+  return centroids;
+}
+
+// One Lloyd's-algorithm run from k-means++ seeds
+function runKMeans(points, k, random) {
+  const { maxIterations, tolerance } = CONFIG.CLUSTERING;
+  let centroids = initKMeansPlusPlus(points, k, random);
+  let assignments = new Array(points.length).fill(0);
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < maxIterations) {
+    iterations++;
+    assignments = points.map((point) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centroids.forEach((centroid, c) => {
+        const distance = squaredDistance(point, centroid);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = c;
+        }
+      });
+      return best;
+    });
+
+    const updated = centroids.map((centroid, c) => {
+      const members = points.filter((_, i) => assignments[i] === c);
+      // An emptied cluster keeps its previous centroid
+      if (members.length === 0) return centroid;
+      return centroid.map(
+        (_, d) => members.reduce((sum, m) => sum + m[d], 0) / members.length
+      );
+    });
+    const shift = Math.max(
+      ...updated.map((centroid, c) => squaredDistance(centroid, centroids[c]))
     );
+    centroids = updated;
+    if (shift <= tolerance) {
+      converged = true;
+      break;
+    }
   }
-  return true;
+
+  const inertia = points.reduce(
+    (sum, point, i) => sum + squaredDistance(point, centroids[assignments[i]]),
+    0
+  );
+  return { centroids, assignments, iterations, converged, inertia };
 }
 
-function calculateCompleteness(row) {
-  const requiredFields = [
-    CONFIG.MAPPINGS.districtId,
-    CONFIG.MAPPINGS.districtName,
-    CONFIG.MAPPINGS.peopleEmployed,
-    CONFIG.MAPPINGS.paymentSpeedValue,
-  ];
-  let validFields = 0;
-  requiredFields.forEach((field) => {
-    if (isValidString(row[field]) || isValidNumeric(row[field])) {
-      validFields++;
+// Mean silhouette coefficient over all points (-1 to 1, higher is better)
+function silhouetteScore(points, assignments, k) {
+  if (k < 2 || points.length <= k) return null;
+  const scores = points.map((point, i) => {
+    const meanDistances = new Array(k).fill(0);
+    const counts = new Array(k).fill(0);
+    points.forEach((other, j) => {
+      if (i === j) return;
+      meanDistances[assignments[j]] += Math.sqrt(squaredDistance(point, other));
+      counts[assignments[j]]++;
+    });
+    const own = assignments[i];
+    if (counts[own] === 0) return 0;
+    const a = meanDistances[own] / counts[own];
+    let b = Infinity;
+    for (let c = 0; c < k; c++) {
+      if (c !== own && counts[c] > 0)
+        b = Math.min(b, meanDistances[c] / counts[c]);
     }
+    if (b === Infinity) return 0;
+    return (b - a) / Math.max(a, b);
   });
-  return validFields / requiredFields.length;
+  return scores.reduce((a, b) => a + b, 0) / scores.length;
 }
 
-// In-memory data store
-let csvData = {};
+// Names clusters from their centroids: each centroid is scored by summing its
+// standardised feature values signed by the metric's good direction, and the
+// clusters are named in score order
+function labelClusters(centroids, features) {
+  const scores = centroids.map((centroid) =>
+    centroid.reduce((sum, value, d) => {
+      const direction = features[d].direction;
+      if (direction === "lower") return sum - value;
+      if (direction === "neutral") return sum;
+      return sum + value;
+    }, 0)
+  );
+  const order = scores
+    .map((score, c) => ({ score, c }))
+    .sort((a, b) => b.score - a.score)
+    .map((item) => item.c);
 
-// Function to load sample data locally (fallback when cloud API fails)
-function loadSampleData() {
-  logDataQuality("Loading sample data locally...");
+  const names =
+    centroids.length === 2
+      ? ["High Performing", "Low Performing"]
+      : centroids.length === 3
+      ? ["High Performing", "Medium Performing", "Low Performing"]
+      : centroids.map((_, i) => `Performance Tier ${i + 1}`);
 
-  // Sample MGNREGA data for UP districts
-  const sampleData = [
-    {
+  const labels = {};
+  order.forEach((c, position) => {
+    labels[c] = names[position];
+  });
+  return labels;
+}
+
+// districtsData: [{ id, values: [feature values in `features` order] }]
+function clusterDistricts(districtsData, k, features) {
+  if (!CONFIG.ML_FEATURES.enabled || !CONFIG.ML_FEATURES.clustering)
+    return null;
+
+  const { scaled, means, stdDevs } = standardizeColumns(
+    districtsData.map((district) => district.values)
+  );
+
+  const random = createSeededRandom(CONFIG.CLUSTERING.seed);
+  let best = null;
+  for (let run = 0; run < CONFIG.CLUSTERING.restarts; run++) {
+    const result = runKMeans(scaled, k, random);
+    if (!best || result.inertia < best.inertia) best = result;
+  }
+
+  const clusters = {};
+  const centroids = {};
+  best.centroids.forEach((centroid, c) => {
+    clusters[c] = [];
+    // Centroids are reported back in the metrics' own units
+    centroids[c] = {};
+    features.forEach((feature, d) => {
+      centroids[c][feature.id] = centroid[d] * stdDevs[d] + means[d];
+    });
+  });
+  best.assignments.forEach((c, i) => {
+    clusters[c].push(districtsData[i].id);
+  });
+
+  return {
+    clusters,
+    clusterLabels: labelClusters(best.centroids, features),
+    centroids,
+    iterations: best.iterations,
+    converged: best.converged,
+    inertia: best.inertia,
+    silhouetteScore: silhouetteScore(scaled, best.assignments, k),
+  };
+}
+
+// Model Evaluation
+// Results of the last backtest run, refreshed after every data load
+let modelEvaluation = null;
+
+// Payment-speed category label for an observed percentage
+function paymentSpeedCategory(value) {
+  const rules = CONFIG.ANALYSIS_RULES.paymentSpeed;
+  if (value > rules.thresholds.good) return rules.labels.good;
+  if (value > rules.thresholds.okay) return rules.labels.okay;
+  return rules.labels.bad;
+}
+
+function summarizeRegressionErrors(errors) {
+  const withPercent = errors.filter((e) => e.percentError !== null);
+  return {
+    samples: errors.length,
+    mae:
+      errors.length > 0
+        ? errors.reduce((sum, e) => sum + e.absoluteError, 0) / errors.length
+        : null,
+    mape:
+      withPercent.length > 0
+        ? withPercent.reduce((sum, e) => sum + e.percentError, 0) /
+          withPercent.length
+        : null,
+  };
+}
+
+function regressionConfidence(mape) {
+  const { mapeThresholds } = CONFIG.EVALUATION;
+  if (mape === null || mape === undefined) return "low";
+  if (mape <= mapeThresholds.high) return "high";
+  if (mape <= mapeThresholds.medium) return "medium";
+  return "low";
+}
+
+function classificationConfidence(accuracy) {
+  const { accuracyThresholds } = CONFIG.EVALUATION;
+  if (accuracy === null || accuracy === undefined) return "low";
+  if (accuracy >= accuracyThresholds.high) return "high";
+  if (accuracy >= accuracyThresholds.medium) return "medium";
+  return "low";
+}
+
+// Rolling-origin backtest of a one-step regression model: for every origin
+// t, the model sees months [0, t) (values and their period keys) and
+// predicts month t
+function backtestRegression(seriesByDistrict, predictNext) {
+  const { minTrainingMonths } = CONFIG.EVALUATION;
+  const all = [];
+  const byDistrict = {};
+
+  Object.keys(seriesByDistrict).forEach((districtId) => {
+    const { values: series, periods } = seriesByDistrict[districtId];
+    const errors = [];
+    for (let t = minTrainingMonths; t < series.length; t++) {
+      const predicted = predictNext(series.slice(0, t), periods.slice(0, t));
+      if (predicted === null || predicted === undefined) continue;
+      const actual = series[t];
+      errors.push({
+        absoluteError: Math.abs(predicted - actual),
+        percentError:
+          actual !== 0 ? (Math.abs(predicted - actual) / actual) * 100 : null,
+      });
+    }
+    if (errors.length > 0) {
+      byDistrict[districtId] = summarizeRegressionErrors(errors);
+      all.push(...errors);
+    }
+  });
+
+  const overall = summarizeRegressionErrors(all);
+  return {
+    task: "regression",
+    ...overall,
+    confidence: regressionConfidence(overall.mape),
+    byDistrict,
+  };
+}
+
+// Rolling-origin backtest of the payment-speed classifier: for every month
+// after the first minTrainingMonths, a model is trained on earlier months only
+// and scored against the observed category of that month
+function backtestPaymentClassifier() {
+  const labels = Object.values(CONFIG.ANALYSIS_RULES.paymentSpeed.labels);
+  const confusionMatrix = {};
+  labels.forEach((actual) => {
+    confusionMatrix[actual] = {};
+    labels.forEach((predicted) => {
+      confusionMatrix[actual][predicted] = 0;
+    });
+  });
+  const byDistrict = {};
+  let correct = 0;
+  let samples = 0;
+
+  const features = (
+    paymentSpeedModel
+      ? paymentSpeedModel.features
+      : CONFIG.PAYMENT_CLASSIFIER.features
+  ).map((id) => METRICS_BY_ID[id]);
+  const allSamples = buildPaymentSpeedSamples(features);
+  const periods = Array.from(
+    new Set(allSamples.map((sample) => sample.periodKey))
+  ).sort();
+
+  periods.slice(CONFIG.EVALUATION.minTrainingMonths).forEach((testPeriod) => {
+    const model = fitPaymentSpeedModel(
+      allSamples.filter((sample) => sample.periodKey < testPeriod),
+      features
+    );
+    if (!model) return;
+    allSamples
+      .filter((sample) => sample.periodKey === testPeriod)
+      .forEach((sample) => {
+        const predicted = predictSoftmaxClassifier(model, sample.x).label;
+        confusionMatrix[sample.label][predicted]++;
+        if (!byDistrict[sample.districtId]) {
+          byDistrict[sample.districtId] = { samples: 0, correct: 0 };
+        }
+        byDistrict[sample.districtId].samples++;
+        samples++;
+        if (predicted === sample.label) {
+          byDistrict[sample.districtId].correct++;
+          correct++;
+        }
+      });
+  });
+
+  Object.values(byDistrict).forEach((district) => {
+    district.accuracy = district.correct / district.samples;
+    delete district.correct;
+  });
+
+  const accuracy = samples > 0 ? correct / samples : null;
+  return {
+    task: "classification",
+    target: CONFIG.MAPPINGS.paymentSpeedValue,
+    features: features.map((feature) => feature.id),
+    samples,
+    accuracy,
+    labels,
+    confusionMatrix,
+    confidence: classificationConfidence(accuracy),
+    byDistrict,
+  };
+}
+
+// Backtests every ML model against the loaded history
+function refreshModelEvaluation() {
+  if (!CONFIG.ML_FEATURES.enabled) {
+    modelEvaluation = null;
+    return;
+  }
+
+  const employmentSeries = {};
+  Object.keys(csvData).forEach((districtId) => {
+    const history = csvData[districtId].history || [];
+    employmentSeries[districtId] = {
+      values: history.map((entry) =>
+        parseNumericSafe(entry.row[CONFIG.MAPPINGS.peopleEmployed], 0)
+      ),
+      periods: history.map((entry) => entry.period.key),
+    };
+  });
+
+  const models = {};
+  if (CONFIG.ML_FEATURES.linearRegression) {
+    models.linear_regression = {
+      target: CONFIG.MAPPINGS.peopleEmployed,
+      ...backtestRegression(employmentSeries, predictEmploymentMissing),
+    };
+  }
+  if (CONFIG.ML_FEATURES.timeSeriesForecasting) {
+    models.time_series_forecast = {
+      target: CONFIG.MAPPINGS.peopleEmployed,
+      ...backtestRegression(employmentSeries, (series, periods) => {
+        const forecast = forecastTimeSeries(series, 1, periods);
+        return forecast ? forecast.forecasts[0].value : null;
+      }),
+    };
+  }
+  if (CONFIG.ML_FEATURES.classification) {
+    models.payment_speed_classifier = backtestPaymentClassifier();
+  }
+
+  modelEvaluation = {
+    evaluatedAt: new Date().toISOString(),
+    method: "rolling_origin",
+    minTrainingMonths: CONFIG.EVALUATION.minTrainingMonths,
+    models,
+  };
+
+  Object.entries(models).forEach(([name, result]) => {
+    logDataQuality(
+      result.task === "regression"
+        ? `Backtest ${name}: MAE=${
+            result.mae !== null ? result.mae.toFixed(1) : "N/A"
+          }, MAPE=${
+            result.mape !== null ? result.mape.toFixed(1) + "%" : "N/A"
+          }, samples=${result.samples}`
+        : `Backtest ${name}: accuracy=${
+            result.accuracy !== null
+              ? (result.accuracy * 100).toFixed(1) + "%"
+              : "N/A"
+          }, samples=${result.samples}`
+    );
+  });
+}
+
+// Confidence for one model's answer about one district, from measured error:
+// the district's own backtest when it has enough samples, else the overall
+function measuredConfidence(modelName, districtId) {
+  const result = modelEvaluation && modelEvaluation.models[modelName];
+  if (!result) return "low";
+  const district = result.byDistrict[districtId];
+  const useDistrict =
+    district && district.samples >= CONFIG.EVALUATION.minDistrictSamples;
+  if (result.task === "classification") {
+    return classificationConfidence(
+      useDistrict ? district.accuracy : result.accuracy
+    );
+  }
+  return regressionConfidence(useDistrict ? district.mape : result.mape);
+}
+
+// Data Quality Helpers
+function createDataQualityMetrics() {
+  return {
+    totalRows: 0,
+    validRows: 0,
+    invalidRows: 0,
+    skippedDistricts: 0,
+    completenessScore: 0,
+    fieldCompleteness: 0,
+    duplicateSnapshots: 0,
+    cumulativeDecreases: 0,
+    validationIssues: {},
+  };
+}
+
+// Metrics of the dataset currently served
+const dataQualityMetrics = createDataQualityMetrics();
+
+function logDataQuality(message, level = "info") {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [${level.toUpperCase()}] ${message}`);
+}
+
+function isValidString(value) {
+  return (
+    value !== null &&
+    value !== undefined &&
+    typeof value === "string" &&
+    value.trim() !== ""
+  );
+}
+
+function isValidNumeric(value) {
+  return !isNaN(parseFloat(value)) && isFinite(value);
+}
+
+// Parses a numeric cell without logging; null when missing or not numeric
+function readNumeric(value) {
+  return isValidNumeric(value) ? parseFloat(value) : null;
+}
+
+function parseNumericSafe(value, defaultValue = 0) {
+  if (isValidNumeric(value)) {
+    return parseFloat(value);
+  }
+  logDataQuality(
+    `Invalid numeric value: ${value}, using default: ${defaultValue}`,
+    "warn"
+  );
+  return defaultValue;
+}
+
+// Values treated as "not reported" rather than invalid
+const MISSING_VALUES = ["", "na", "n/a", "null", "-"];
+
+function isMissingValue(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    MISSING_VALUES.includes(String(value).trim().toLowerCase())
+  );
+}
+
+const metricColumns = (filter) =>
+  METRIC_REGISTRY.filter(filter).map((metric) => metric.column);
+
+// Declarative validation rules applied to every loaded row. Types:
+// - required: each field must be present
+// - numeric: each field, when present, must be a number
+// - range: each numeric field must lie within [min, max]
+// - lte: the sum of the `left` fields must not exceed the `right` field
+// Rows failing an "error" rule are rejected; warnings and info are reported
+// through /api/data-quality/issues only.
+const VALIDATION_RULES = [
+  {
+    id: "district_code_required",
+    type: "required",
+    severity: "error",
+    fields: [CONFIG.MAPPINGS.districtId],
+    description: "Every row needs a district code",
+  },
+  {
+    id: "district_name_required",
+    type: "required",
+    severity: "warning",
+    fields: [CONFIG.MAPPINGS.districtName],
+    description: "District name is missing",
+  },
+  {
+    id: "month_required",
+    type: "required",
+    severity: "warning",
+    fields: [CONFIG.MAPPINGS.month],
+    description: "Month is missing, so the row cannot be placed in time",
+  },
+  {
+    id: "key_metrics_reported",
+    type: "required",
+    severity: "warning",
+    fields: [CONFIG.MAPPINGS.peopleEmployed, CONFIG.MAPPINGS.paymentSpeedValue],
+    description: "A headline dashboard metric is not reported",
+  },
+  {
+    id: "metric_numeric",
+    type: "numeric",
+    severity: "warning",
+    fields: metricColumns(() => true),
+    description: "Metric value is not a number",
+  },
+  {
+    id: "metric_non_negative",
+    type: "range",
+    severity: "warning",
+    fields: metricColumns(() => true),
+    min: 0,
+    description: "Metric value is negative",
+  },
+  {
+    id: "percentage_range",
+    type: "range",
+    severity: "warning",
+    fields: metricColumns((metric) => metric.unit === "percent"),
+    min: 0,
+    max: 100,
+    description: "Percentage outside 0-100",
+  },
+  {
+    id: "days_per_household_limit",
+    type: "range",
+    severity: "info",
+    fields: ["Average_days_of_employment_provided_per_Household"],
+    max: 100,
+    description: "Average days per household exceed the 100-day guarantee",
+  },
+  {
+    id: "women_persondays_within_total",
+    type: "lte",
+    severity: "warning",
+    left: ["Women_Persondays"],
+    right: "Persondays_of_Central_Liability_so_far",
+    description: "Women persondays exceed total persondays",
+  },
+  {
+    id: "sc_st_persondays_within_total",
+    type: "lte",
+    severity: "warning",
+    left: ["SC_persondays", "ST_persondays"],
+    right: "Persondays_of_Central_Liability_so_far",
+    description: "SC + ST persondays exceed total persondays",
+  },
+  {
+    id: "sc_st_workers_within_active",
+    type: "lte",
+    severity: "warning",
+    left: [
+      "SC_workers_against_active_workers",
+      "ST_workers_against_active_workers",
+    ],
+    right: "Total_No_of_Active_Workers",
+    description: "SC + ST workers exceed total active workers",
+  },
+  {
+    id: "households_within_individuals",
+    type: "lte",
+    severity: "warning",
+    left: ["Total_Households_Worked"],
+    right: "Total_Individuals_Worked",
+    description: "More households worked than individuals",
+  },
+  {
+    id: "active_workers_within_workers",
+    type: "lte",
+    severity: "warning",
+    left: ["Total_No_of_Active_Workers"],
+    right: "Total_No_of_Workers",
+    description: "Active workers exceed registered workers",
+  },
+  {
+    id: "active_job_cards_within_issued",
+    type: "lte",
+    severity: "warning",
+    left: ["Total_No_of_Active_Job_Cards"],
+    right: "Total_No_of_JobCards_issued",
+    description: "Active job cards exceed job cards issued",
+  },
+];
+
+const VALIDATION_SEVERITIES = ["error", "warning", "info"];
+
+// Runs every rule against one row and returns its issues
+function validateRow(row) {
+  const issues = [];
+  const report = (rule, field, value, message) =>
+    issues.push({
+      ruleId: rule.id,
+      severity: rule.severity,
+      field,
+      value,
+      message,
+    });
+
+  VALIDATION_RULES.forEach((rule) => {
+    if (rule.type === "required") {
+      rule.fields.forEach((field) => {
+        if (isMissingValue(row[field]))
+          report(rule, field, row[field] ?? null, `${field} is missing`);
+      });
+    } else if (rule.type === "numeric") {
+      rule.fields.forEach((field) => {
+        if (!isMissingValue(row[field]) && !isValidNumeric(row[field]))
+          report(rule, field, row[field], `${field} is not numeric`);
+      });
+    } else if (rule.type === "range") {
+      rule.fields.forEach((field) => {
+        if (isMissingValue(row[field]) || !isValidNumeric(row[field])) return;
+        const value = parseFloat(row[field]);
+        if (rule.min !== undefined && value < rule.min)
+          report(rule, field, value, `${field} is ${value}, below ${rule.min}`);
+        else if (rule.max !== undefined && value > rule.max)
+          report(rule, field, value, `${field} is ${value}, above ${rule.max}`);
+      });
+    } else if (rule.type === "lte") {
+      const fields = [...rule.left, rule.right];
+      if (fields.some((field) => !isValidNumeric(row[field]))) return;
+      const left = rule.left.reduce(
+        (sum, field) => sum + parseFloat(row[field]),
+        0
+      );
+      const right = parseFloat(row[rule.right]);
+      if (left > right)
+        report(
+          rule,
+          rule.left.join("+"),
+          left,
+          `${rule.left.join(" + ")} (${left}) exceeds ${rule.right} (${right})`
+        );
+    }
+  });
+  return issues;
+}
+
+// Collects validation issues for one load. `check` returns false for rows
+// that must be rejected.
+function createValidationReport() {
+  const issues = [];
+  return {
+    check(row, location = {}) {
+      const rowIssues = validateRow(row);
+      rowIssues.forEach((issue) => {
+        issues.push({
+          ...issue,
+          districtId: isMissingValue(row[CONFIG.MAPPINGS.districtId])
+            ? null
+            : makeDistrictId(row),
+          districtName: row[CONFIG.MAPPINGS.districtName] || null,
+          period:
+            parsePeriod(
+              row[CONFIG.MAPPINGS.finYear],
+              row[CONFIG.MAPPINGS.month]
+            )?.key || null,
+          ...location,
+        });
+      });
+      return !rowIssues.some((issue) => issue.severity === "error");
+    },
+    finish() {
+      const bySeverity = {};
+      VALIDATION_SEVERITIES.forEach((severity) => {
+        bySeverity[severity] = 0;
+      });
+      const byRule = {};
+      issues.forEach((issue) => {
+        bySeverity[issue.severity]++;
+        byRule[issue.ruleId] = (byRule[issue.ruleId] || 0) + 1;
+      });
+      Object.keys(byRule).forEach((ruleId) => {
+        logDataQuality(
+          `Validation rule ${ruleId}: ${byRule[ruleId]} issues`,
+          VALIDATION_RULES.find((rule) => rule.id === ruleId).severity ===
+            "error"
+            ? "error"
+            : "warn"
+        );
+      });
+      return { checkedAt: new Date().toISOString(), issues, bySeverity };
+    },
+  };
+}
+
+// Issues found by the load of the snapshot being served
+let validationReport = { checkedAt: null, issues: [], bySeverity: {} };
+
+function calculateCompleteness(row) {
+  const requiredFields = [
+    CONFIG.MAPPINGS.districtId,
+    CONFIG.MAPPINGS.districtName,
+    CONFIG.MAPPINGS.peopleEmployed,
+    CONFIG.MAPPINGS.paymentSpeedValue,
+  ];
+  let validFields = 0;
+  requiredFields.forEach((field) => {
+    if (isValidString(row[field]) || isValidNumeric(row[field])) {
+      validFields++;
+    }
+  });
+  return validFields / requiredFields.length;
+}
+
+// Time Normalisation Helpers
+// Calendar month numbers keyed by 3-letter prefix, so "April"/"Apr" and
+// "September"/"Sept"/"Sep" resolve to the same month
+const MONTH_NUMBERS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+// MGNREGA financial years run April to March
+const FISCAL_YEAR_START_MONTH = 4;
+
+function parseFinYearStart(finYear) {
+  const match = /^\s*(\d{4})/.exec(finYear == null ? "" : String(finYear));
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Turns a (fin_year, month) pair into a sortable period, e.g.
+// ("2025-2026", "Jan") -> { key: "2026-01", year: 2026, month: 1, ... }.
+// Month values already in YYYY-MM form (sample/cloud data) are accepted as is.
+function parsePeriod(finYear, month) {
+  const monthText = month == null ? "" : String(month).trim();
+  let year = null;
+  let monthNumber = null;
+
+  const isoMatch = /^(\d{4})-(\d{1,2})$/.exec(monthText);
+  if (isoMatch) {
+    year = parseInt(isoMatch[1], 10);
+    monthNumber = parseInt(isoMatch[2], 10);
+  } else {
+    monthNumber = MONTH_NUMBERS[monthText.slice(0, 3).toLowerCase()] || null;
+    const startYear = parseFinYearStart(finYear);
+    if (monthNumber && startYear) {
+      year = monthNumber >= FISCAL_YEAR_START_MONTH ? startYear : startYear + 1;
+    }
+  }
+
+  if (!year || !monthNumber || monthNumber < 1 || monthNumber > 12) return null;
+
+  const fiscalStart = monthNumber >= FISCAL_YEAR_START_MONTH ? year : year - 1;
+  return {
+    key: `${year}-${String(monthNumber).padStart(2, "0")}`,
+    year,
+    month: monthNumber,
+    finYear: `${fiscalStart}-${fiscalStart + 1}`,
+  };
+}
+
+// Period key of the calendar month before a YYYY-MM key
+function previousPeriodKey(periodKey) {
+  const [year, month] = periodKey.split("-").map(Number);
+  return month === 1
+    ? `${year - 1}-12`
+    : `${year}-${String(month - 1).padStart(2, "0")}`;
+}
+
+// Period key of the calendar month after a YYYY-MM key
+function nextPeriodKey(periodKey) {
+  const [year, month] = periodKey.split("-").map(Number);
+  return month === 12
+    ? `${year + 1}-01`
+    : `${year}-${String(month + 1).padStart(2, "0")}`;
+}
+
+// True when `row` is a later snapshot of the same district-month than
+// `current`, going by CONFIG.CUMULATIVE_COUNTERS. Fully tied rows keep
+// source order: the later row wins.
+function isLaterSnapshot(row, current) {
+  for (const column of CONFIG.CUMULATIVE_COUNTERS) {
+    const value = readNumeric(row[column]) ?? -1;
+    const currentValue = readNumeric(current[column]) ?? -1;
+    if (value !== currentValue) return value > currentValue;
+  }
+  return true;
+}
+
+// Orders a district's rows chronologically and collapses repeated monthly
+// snapshots, keeping the one with the highest cumulative counters. Also
+// counts months whose first cumulative counter falls below the previous
+// month of the same financial year, which a correct series never does.
+function normalizeTimeSeries(rows) {
+  const byPeriod = {};
+  let unparsed = 0;
+
+  rows.forEach((row) => {
+    const period = parsePeriod(
+      row[CONFIG.MAPPINGS.finYear],
+      row[CONFIG.MAPPINGS.month]
+    );
+    if (!period) {
+      unparsed++;
+      return;
+    }
+    const current = byPeriod[period.key];
+    if (!current || isLaterSnapshot(row, current.row))
+      byPeriod[period.key] = { period, row };
+  });
+
+  const series = Object.keys(byPeriod)
+    .sort()
+    .map((key) => byPeriod[key]);
+  const [counter] = CONFIG.CUMULATIVE_COUNTERS;
+  let decreases = 0;
+  series.forEach((entry, i) => {
+    const previous = series[i - 1];
+    if (!previous || previous.period.finYear !== entry.period.finYear) return;
+    const value = readNumeric(entry.row[counter]);
+    const previousValue = readNumeric(previous.row[counter]);
+    if (value !== null && previousValue !== null && value < previousValue)
+      decreases++;
+  });
+
+  return {
+    series,
+    duplicates: rows.length - unparsed - Object.keys(byPeriod).length,
+    decreases,
+    unparsed,
+  };
+}
+
+// In-memory data store
+let csvData = {};
+
+// Where each loaded row came from ({ source, file, rowNumber, loadedAt }),
+// keyed by the row object so the rows themselves stay untouched
+let rowSources = new WeakMap();
+
+function getRowSource(row) {
+  return (row && rowSources.get(row)) || { source: "unknown" };
+}
+
+// Builds a dataset from the built-in sample districts (used when the first
+// load fails, so the dashboard still has something to show)
+function loadSampleData() {
+  logDataQuality("Loading sample data locally...");
+
+  // Sample MGNREGA data for UP districts
+  const sampleData = [
+    {
       district_code: "up_lucknow",
       district_name: "Lucknow",
       state_name: "UTTAR PRADESH",
       Total_Individuals_Worked: 145000,
       percentage_payments_gererated_within_15_days: 85,
+      Total_No_of_Active_Workers: 310000,
+      Total_Households_Worked: 98000,
+      Total_No_of_Active_Job_Cards: 232000,
+      Average_days_of_employment_provided_per_Household: 41,
+      Total_No_of_HHs_completed_100_Days_of_Wage_Employment: 2100,
       month: "2025-10",
     },
     {
@@ -285,6 +2148,11 @@ function loadSampleData() {
       state_name: "UTTAR PRADESH",
       Total_Individuals_Worked: 120000,
       percentage_payments_gererated_within_15_days: 65,
+      Total_No_of_Active_Workers: 265000,
+      Total_Households_Worked: 82000,
+      Total_No_of_Active_Job_Cards: 205000,
+      Average_days_of_employment_provided_per_Household: 36,
+      Total_No_of_HHs_completed_100_Days_of_Wage_Employment: 1400,
       month: "2025-10",
     },
     {
@@ -293,6 +2161,11 @@ function loadSampleData() {
       state_name: "UTTAR PRADESH",
       Total_Individuals_Worked: 95000,
       percentage_payments_gererated_within_15_days: 45,
+      Total_No_of_Active_Workers: 290000,
+      Total_Households_Worked: 61000,
+      Total_No_of_Active_Job_Cards: 221000,
+      Average_days_of_employment_provided_per_Household: 24,
+      Total_No_of_HHs_completed_100_Days_of_Wage_Employment: 500,
       month: "2025-10",
     },
     {
@@ -301,6 +2174,11 @@ function loadSampleData() {
       state_name: "UTTAR PRADESH",
       Total_Individuals_Worked: 180000,
       percentage_payments_gererated_within_15_days: 90,
+      Total_No_of_Active_Workers: 330000,
+      Total_Households_Worked: 121000,
+      Total_No_of_Active_Job_Cards: 248000,
+      Average_days_of_employment_provided_per_Household: 45,
+      Total_No_of_HHs_completed_100_Days_of_Wage_Employment: 2900,
       month: "2025-10",
     },
     {
@@ -309,21 +2187,32 @@ function loadSampleData() {
       state_name: "UTTAR PRADESH",
       Total_Individuals_Worked: 110000,
       percentage_payments_gererated_within_15_days: 70,
+      Total_No_of_Active_Workers: 240000,
+      Total_Households_Worked: 70000,
+      Total_No_of_Active_Job_Cards: 182000,
+      Average_days_of_employment_provided_per_Household: 33,
+      Total_No_of_HHs_completed_100_Days_of_Wage_Employment: 900,
       month: "2025-10",
     },
   ];
 
   const dataMap = {};
+  const districts = {};
+  const metrics = createDataQualityMetrics();
   let rowCount = 0;
   let validRowCount = 0;
   let skippedDistricts = 0;
+  const validation = createValidationReport();
+  const loadedAt = new Date().toISOString();
 
   sampleData.forEach((row) => {
     rowCount++;
-    const districtId = row[CONFIG.MAPPINGS.districtId];
+    const districtId = makeDistrictId(row);
+    const location = { source: "sample", rowNumber: rowCount };
+    rowSources.set(row, { ...location, loadedAt });
 
     // Validate row data
-    if (!validateDistrictData(row)) {
+    if (!validation.check(row, location)) {
       skippedDistricts++;
       logDataQuality(
         `Skipping invalid row ${rowCount} for districtId: ${districtId}`,
@@ -357,11 +2246,13 @@ function loadSampleData() {
   );
 
   // Update metrics
-  dataQualityMetrics.totalRows = rowCount;
-  dataQualityMetrics.validRows = validRowCount;
-  dataQualityMetrics.invalidRows = rowCount - validRowCount;
-  dataQualityMetrics.skippedDistricts = skippedDistricts;
-  dataQualityMetrics.completenessScore = (validRowCount / rowCount) * 100;
+  metrics.totalRows = rowCount;
+  metrics.validRows = validRowCount;
+  metrics.invalidRows = rowCount - validRowCount;
+  metrics.skippedDistricts = skippedDistricts;
+  metrics.completenessScore = (validRowCount / rowCount) * 100;
+  const validationResult = validation.finish();
+  metrics.validationIssues = validationResult.bySeverity;
 
   // Process each district
   for (const districtId in dataMap) {
@@ -386,19 +2277,21 @@ function loadSampleData() {
       historical.push(Math.round(baseEmployment * (1 + variation)));
     }
 
-    csvData[districtId] = {
+    districts[districtId] = {
       raw: latest,
       historicalEmployed: historical,
+      // The 6-month series above is randomised around the latest value
+      syntheticHistory: true,
+      history: normalizeTimeSeries([latest]).series,
     };
   }
 
-  logDataQuality("Sample data loaded into memory successfully");
-  logDataQuality(
-    `Data completeness: ${dataQualityMetrics.completenessScore.toFixed(2)}%`
-  );
+  logDataQuality("Sample data parsed successfully");
+  logDataQuality(`Data completeness: ${metrics.completenessScore.toFixed(2)}%`);
+  return { districts, metrics, validation: validationResult };
 }
 
-// Function to load data from cloud API
+// Builds a dataset from the cloud API
 async function loadDataFromCloud() {
   logDataQuality("Starting cloud data loading process...");
   try {
@@ -413,18 +2306,24 @@ async function loadDataFromCloud() {
     logDataQuality("Cloud data fetched successfully, processing...");
 
     const dataMap = {};
+    const districts = {};
+    const metrics = createDataQualityMetrics();
     let rowCount = 0;
     let validRowCount = 0;
     let invalidRowCount = 0;
     let skippedDistricts = 0;
+    const validation = createValidationReport();
+    const loadedAt = new Date().toISOString();
 
     // Assuming data is an array of rows
     data.forEach((row) => {
       rowCount++;
-      const districtId = row[CONFIG.MAPPINGS.districtId];
+      const districtId = makeDistrictId(row);
+      const location = { source: "cloud", rowNumber: rowCount };
+      rowSources.set(row, { ...location, loadedAt });
 
       // Validate row data
-      if (!validateDistrictData(row)) {
+      if (!validation.check(row, location)) {
         invalidRowCount++;
         skippedDistricts++;
         logDataQuality(
@@ -459,431 +2358,4304 @@ async function loadDataFromCloud() {
     );
 
     // Update metrics
-    dataQualityMetrics.totalRows = rowCount;
-    dataQualityMetrics.validRows = validRowCount;
-    dataQualityMetrics.invalidRows = invalidRowCount;
-    dataQualityMetrics.skippedDistricts = skippedDistricts;
-    dataQualityMetrics.completenessScore = (validRowCount / rowCount) * 100;
+    metrics.totalRows = rowCount;
+    metrics.validRows = validRowCount;
+    metrics.invalidRows = invalidRowCount;
+    metrics.skippedDistricts = skippedDistricts;
+    metrics.completenessScore = (validRowCount / rowCount) * 100;
+    const validationResult = validation.finish();
+    metrics.validationIssues = validationResult.bySeverity;
 
-    // Sort by month descending and take latest or aggregate
+    // Order each district chronologically and keep the latest snapshot
+    // per month
+    metrics.duplicateSnapshots = 0;
     for (const districtId in dataMap) {
-      dataMap[districtId].sort((a, b) =>
-        (b.month || "").localeCompare(a.month || "")
+      const { series, duplicates, decreases } = normalizeTimeSeries(
+        dataMap[districtId]
       );
-      // For simplicity, take the latest entry
-      const latest = dataMap[districtId][0];
+      metrics.duplicateSnapshots += duplicates;
+      metrics.cumulativeDecreases += decreases;
+      if (series.length === 0) {
+        logDataQuality(
+          `District ${districtId}: no rows with a recognisable month, skipping`,
+          "warn"
+        );
+        continue;
+      }
+      const latest = series[series.length - 1].row;
       logDataQuality(
         `District ${districtId}: Latest entry month=${
-          latest.month || "N/A"
+          series[series.length - 1].period.key
         }, peopleEmployed=${
           latest[CONFIG.MAPPINGS.peopleEmployed] || "N/A"
-        }, paymentSpeed=${latest[CONFIG.MAPPINGS.paymentSpeedValue] || "N/A"}`
+        }, paymentSpeed=${
+          latest[CONFIG.MAPPINGS.paymentSpeedValue] || "N/A"
+        }, duplicates collapsed=${duplicates}`
       );
 
-      // For historical, take last 6 if available, else repeat latest with safe parsing
-      const historical = dataMap[districtId]
-        .slice(0, 6)
-        .map((r) => parseNumericSafe(r[CONFIG.MAPPINGS.peopleEmployed], 0));
-      while (historical.length < 6) historical.push(historical[0] || 0);
+      // Oldest to newest, last 6 months
+      const recent = series.slice(-6);
+      const historical = recent.map((entry) =>
+        parseNumericSafe(entry.row[CONFIG.MAPPINGS.historicalEmployed], 0)
+      );
 
-      csvData[districtId] = {
+      districts[districtId] = {
         raw: latest,
         historicalEmployed: historical,
+        historicalPeriods: recent.map((entry) => entry.period.key),
+        history: series,
       };
     }
 
-    logDataQuality("Cloud data loaded into memory successfully");
+    logDataQuality("Cloud data parsed successfully");
     logDataQuality(
-      `Data completeness: ${dataQualityMetrics.completenessScore.toFixed(2)}%`
+      `Data completeness: ${metrics.completenessScore.toFixed(2)}%`
     );
 
     // Alert if completeness is low
-    if (dataQualityMetrics.completenessScore < 80) {
+    if (metrics.completenessScore < 80) {
       logDataQuality(
-        `ALERT: Data completeness is low (${dataQualityMetrics.completenessScore.toFixed(
+        `ALERT: Data completeness is low (${metrics.completenessScore.toFixed(
           2
         )}%). Check data source.`,
         "error"
       );
     }
+    return { districts, metrics, validation: validationResult };
   } catch (error) {
     logDataQuality(`Cloud API failed: ${error.message}`, "warn");
-    logDataQuality("Falling back to sample data...", "info");
-    loadSampleData();
+    throw error;
   }
 }
 
-// Load data from cloud on start
-loadDataFromCloud();
-
-// JWT Verification Middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers["authorization"]?.split(" ")[1];
-  if (!token)
-    return res.status(401).json({ error: "Access denied. No token provided." });
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(403).json({ error: "Invalid token." });
-    req.user = decoded;
-    next();
+// Streams one CSV file, calling onRow for every parsed row
+function readCsvFile(filePath, onRow) {
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .pipe(
+        csv({
+          // data.csv ships with "0" as the header of the fin_year column
+          mapHeaders: ({ header, index }) =>
+            index === 0 && header === "0" ? CONFIG.MAPPINGS.finYear : header,
+        })
+      )
+      .on("data", onRow)
+      .on("error", reject)
+      .on("end", resolve);
   });
-};
+}
 
-// Public endpoint to generate guest JWT
-app.get("/api/auth/token", (req, res) => {
-  try {
-    const payload = { role: "guest" };
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
-    res.json({ token });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to generate token." });
-  }
-});
+// Builds a dataset from the local CSV file(s)
+async function loadDataFromCsv() {
+  logDataQuality(
+    `Starting CSV data loading process from ${CONFIG.CSV_FILE_PATHS.join(
+      ", "
+    )}...`
+  );
 
-// Route to serve index.html at root path
-app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "index.html"));
-});
-// Protected endpoint to fetch list of districts
-app.get("/api/districts", verifyToken, (req, res) => {
   try {
-    const districts = Object.keys(csvData)
-      .filter(
-        (districtId) =>
-          csvData[districtId].raw["state_name"] === "UTTAR PRADESH"
-      )
-      .map((districtId) => {
-        const raw = csvData[districtId].raw;
-        return {
-          id: districtId,
-          name: isValidString(raw[CONFIG.MAPPINGS.districtName])
-            ? raw[CONFIG.MAPPINGS.districtName]
-            : districtId,
+    const dataMap = {};
+    const districts = {};
+    const metrics = createDataQualityMetrics();
+    let rowCount = 0;
+    let validRowCount = 0;
+    let invalidRowCount = 0;
+    let skippedDistricts = 0;
+    let completenessTotal = 0;
+    let duplicatesCollapsed = 0;
+    const validation = createValidationReport();
+    const loadedAt = new Date().toISOString();
+
+    // Rows of all files are pooled per district; normalizeTimeSeries picks
+    // the latest snapshot of each month
+    for (const filePath of CONFIG.CSV_FILE_PATHS) {
+      let fileRow = 0;
+      await readCsvFile(filePath, (row) => {
+        rowCount++;
+        fileRow++;
+        completenessTotal += calculateCompleteness(row);
+        const location = {
+          source: "csv",
+          file: path.basename(filePath),
+          rowNumber: fileRow,
         };
-      });
-    res.json(districts);
-  } catch (error) {
-    logDataQuality(`Error fetching districts: ${error.message}`, "error");
-    res.status(500).json({ error: "Failed to fetch districts." });
-  }
-});
+        rowSources.set(row, { ...location, loadedAt });
 
-// Protected endpoint to fetch district data
-app.get("/api/data/:districtId", verifyToken, (req, res) => {
-  try {
-    const { districtId } = req.params;
-    const districtData = csvData[districtId];
-    if (!districtData)
-      return res.status(404).json({ error: "District not found." });
+        // Validate row data
+        if (!validation.check(row, location)) {
+          invalidRowCount++;
+          skippedDistricts++;
+          logDataQuality(
+            `Skipping invalid row ${rowCount} for districtId: ${
+              row[CONFIG.MAPPINGS.districtId]
+            }`,
+            "warn"
+          );
+          return;
+        }
 
-    // Apply transformations on-the-fly with safe parsing
-    const raw = districtData.raw;
-    const workAvailabilityValue = parseNumericSafe(
-      raw[CONFIG.MAPPINGS.workAvailabilityValue],
-      0
-    );
-    const paymentSpeedValue = parseNumericSafe(
-      raw[CONFIG.MAPPINGS.paymentSpeedValue],
-      0
-    );
-    const peopleEmployedValue = parseNumericSafe(
-      raw[CONFIG.MAPPINGS.peopleEmployed],
-      0
-    );
-    const stateComparisonValue = parseNumericSafe(
-      raw[CONFIG.MAPPINGS.stateComparisonValue],
-      0
-    );
+        validRowCount++;
+        const districtId = makeDistrictId(row);
+        if (!dataMap[districtId]) {
+          dataMap[districtId] = [];
+        }
+        dataMap[districtId].push(row);
+      });
+    }
 
-    // ML predictions for missing data
-    const predictedEmployment =
-      peopleEmployedValue === 0
-        ? predictEmploymentMissing(districtData.historicalEmployed)
-        : null;
-    const predictedPaymentSpeed =
-      paymentSpeedValue === 0
-        ? classifyPaymentSpeed(
-            peopleEmployedValue || predictedEmployment || 0,
-            districtData.historicalEmployed
-          )
-        : null;
-    const forecastedEmployment = forecastTimeSeries(
-      districtData.historicalEmployed
+    logDataQuality(
+      `CSV data parsing completed. Total rows: ${rowCount}, Valid: ${validRowCount}, Invalid: ${invalidRowCount}`
     );
-    const isAnomaly = detectAnomaly(
-      peopleEmployedValue || predictedEmployment || 0,
-      districtData.historicalEmployed
+    logDataQuality(
+      `Total districts found: ${
+        Object.keys(dataMap).length
+      }, Skipped districts: ${skippedDistricts}`
     );
 
-    const transformed = {
-      workAvailability:
-        workAvailabilityValue > 0
-          ? CONFIG.ANALYSIS_RULES.workAvailability.labels[
-              workAvailabilityValue >
-              CONFIG.ANALYSIS_RULES.workAvailability.thresholds.high
-                ? "high"
-                : workAvailabilityValue >
-                  CONFIG.ANALYSIS_RULES.workAvailability.thresholds.medium
-                ? "medium"
-                : "low"
-            ]
-          : "Data Not Available",
-      workAvailabilityColor:
-        workAvailabilityValue > 0
-          ? CONFIG.ANALYSIS_RULES.workAvailability.colors[
-              workAvailabilityValue >
-              CONFIG.ANALYSIS_RULES.workAvailability.thresholds.high
-                ? "high"
-                : workAvailabilityValue >
-                  CONFIG.ANALYSIS_RULES.workAvailability.thresholds.medium
-                ? "medium"
-                : "low"
-            ]
-          : "gray",
-      paymentSpeed:
-        paymentSpeedValue > 0
-          ? CONFIG.ANALYSIS_RULES.paymentSpeed.labels[
-              paymentSpeedValue >
-              CONFIG.ANALYSIS_RULES.paymentSpeed.thresholds.good
-                ? "good"
-                : paymentSpeedValue >
-                  CONFIG.ANALYSIS_RULES.paymentSpeed.thresholds.okay
-                ? "okay"
-                : "bad"
-            ]
-          : predictedPaymentSpeed || "Data Not Available",
-      paymentSpeedColor:
-        paymentSpeedValue > 0
-          ? CONFIG.ANALYSIS_RULES.paymentSpeed.colors[
-              paymentSpeedValue >
-              CONFIG.ANALYSIS_RULES.paymentSpeed.thresholds.good
-                ? "good"
-                : paymentSpeedValue >
-                  CONFIG.ANALYSIS_RULES.paymentSpeed.thresholds.okay
-                ? "okay"
-                : "bad"
-            ]
-          : predictedPaymentSpeed
-          ? "blue"
-          : "gray",
-      peopleEmployed:
-        peopleEmployedValue > 0
-          ? CONFIG.ANALYSIS_RULES.peopleEmployed(peopleEmployedValue)
-          : predictedEmployment
-          ? CONFIG.ANALYSIS_RULES.peopleEmployed(predictedEmployment) +
-            " (Predicted)"
-          : "Data Not Available",
-      stateComparison:
-        stateComparisonValue > 0
-          ? CONFIG.ANALYSIS_RULES.stateComparison(stateComparisonValue)
-          : "Data Not Available",
-      stateComparisonColor:
-        stateComparisonValue > 0
-          ? CONFIG.ANALYSIS_RULES.stateComparisonColor(stateComparisonValue)
-          : "gray",
-      historicalEmployed: districtData.historicalEmployed,
-      mlInsights: {
-        predictedEmployment: predictedEmployment,
-        predictedPaymentSpeed: predictedPaymentSpeed,
-        forecastedEmployment: forecastedEmployment,
-        isAnomaly: isAnomaly,
-        anomalyAlert: isAnomaly
-          ? "Unusual district performance detected"
-          : null,
-      },
-      helpText: {
-        workAvailability:
-          "This shows if enough work is being created for eligible applicants in the district.",
-        paymentSpeed:
-          "This indicates how quickly payments are processed and disbursed to workers.",
-        peopleEmployed:
-          "Number of people employed under MGNREGA in the district.",
-        stateComparison:
-          "Comparison of district performance against the state average.",
-        historicalEmployed: "Employment trend over the last 6 months.",
-        mlInsights:
-          "Machine learning predictions and insights for missing data and trends.",
-      },
-    };
+    // Update metrics
+    metrics.totalRows = rowCount;
+    metrics.validRows = validRowCount;
+    metrics.invalidRows = invalidRowCount;
+    metrics.skippedDistricts = skippedDistricts;
+    metrics.completenessScore = rowCount ? (validRowCount / rowCount) * 100 : 0;
+    metrics.fieldCompleteness = rowCount
+      ? (completenessTotal / rowCount) * 100
+      : 0;
+    const validationResult = validation.finish();
+    metrics.validationIssues = validationResult.bySeverity;
 
-    res.json(transformed);
-  } catch (error) {
+    for (const districtId in dataMap) {
+      const { series, duplicates, decreases, unparsed } = normalizeTimeSeries(
+        dataMap[districtId]
+      );
+      duplicatesCollapsed += duplicates;
+      metrics.cumulativeDecreases += decreases;
+      if (decreases > 0) {
+        logDataQuality(
+          `District ${districtId}: ${decreases} months where ${CONFIG.CUMULATIVE_COUNTERS[0]} fell within a financial year`,
+          "warn"
+        );
+      }
+      if (unparsed > 0) {
+        logDataQuality(
+          `District ${districtId}: ${unparsed} rows with unrecognised fin_year/month ignored`,
+          "warn"
+        );
+      }
+      if (series.length === 0) continue;
+
+      const latest = series[series.length - 1].row;
+      logDataQuality(
+        `District ${districtId}: Latest entry month=${
+          series[series.length - 1].period.key
+        }, months available=${series.length}`
+      );
+
+      // Oldest to newest, last 6 months
+      const recent = series.slice(-6);
+      const historical = recent.map((entry) =>
+        parseNumericSafe(entry.row[CONFIG.MAPPINGS.historicalEmployed], 0)
+      );
+
+      districts[districtId] = {
+        raw: latest,
+        historicalEmployed: historical,
+        historicalPeriods: recent.map((entry) => entry.period.key),
+        history: series,
+      };
+    }
+
+    metrics.duplicateSnapshots = duplicatesCollapsed;
     logDataQuality(
-      `Error fetching data for district ${req.params.districtId}: ${error.message}`,
-      "error"
+      `Collapsed ${duplicatesCollapsed} repeated monthly snapshots`
     );
-    res.status(500).json({ error: "Failed to fetch data." });
+    logDataQuality("CSV data parsed successfully");
+    logDataQuality(
+      `Data completeness: ${metrics.completenessScore.toFixed(
+        2
+      )}%, field completeness: ${metrics.fieldCompleteness.toFixed(2)}%`
+    );
+
+    // Alert if completeness is low
+    if (metrics.completenessScore < 80) {
+      logDataQuality(
+        `ALERT: Data completeness is low (${metrics.completenessScore.toFixed(
+          2
+        )}%). Check data source.`,
+        "error"
+      );
+    }
+    return { districts, metrics, validation: validationResult };
+  } catch (error) {
+    logDataQuality(`CSV load failed: ${error.message}`, "warn");
+    throw error;
   }
-});
+}
 
-// Route to handle favicon.ico requests
-app.get("/favicon.ico", (req, res) => {
-  res.status(204).end(); // No Content response to prevent 404
-});
+// Dataset Snapshots
+// Every load is kept as a numbered snapshot on disk, so loads can be compared
+// and the server pinned to a known-good one. Only their metadata is held in
+// memory (and in index.json); a snapshot's data is read when it is needed.
+let snapshots = [];
+let activeSnapshotId = null;
+let pinnedSnapshotId = null;
 
-// Secure data-refresh endpoint
-app.post("/api/data-refresh", verifyToken, async (req, res) => {
+const PIN_FILE = "pin.json";
+const INDEX_FILE = "index.json";
+
+function snapshotFilePath(id) {
+  return path.join(CONFIG.SNAPSHOTS.directory, `snapshot-${id}.json`);
+}
+
+function writeSnapshotFile(fileName, contents) {
   try {
-    await loadDataFromCloud();
-    res.json({
-      message: "Data refreshed successfully",
-      timestamp: new Date().toISOString(),
-    });
+    fs.mkdirSync(CONFIG.SNAPSHOTS.directory, { recursive: true });
+    fs.writeFileSync(
+      path.join(CONFIG.SNAPSHOTS.directory, fileName),
+      JSON.stringify(contents)
+    );
   } catch (error) {
-    logDataQuality(`Error refreshing data: ${error.message}`, "error");
-    res.status(500).json({ error: "Failed to refresh data." });
+    logDataQuality(`Could not write ${fileName}: ${error.message}`, "warn");
   }
-});
+}
 
-// ML API endpoints
-app.get("/api/ml/predict-employment/:districtId", verifyToken, (req, res) => {
+// Reads a snapshot's data from disk; null if the file is missing or broken
+function readSnapshot(id) {
   try {
-    const { districtId } = req.params;
-    const districtData = csvData[districtId];
-    if (!districtData)
-      return res.status(404).json({ error: "District not found." });
-
-    const prediction = predictEmploymentMissing(
-      districtData.historicalEmployed
-    );
-    res.json({
-      districtId,
-      predictedEmployment: prediction,
-      method: "linear_regression",
-      confidence: prediction ? "medium" : "low",
-    });
+    return JSON.parse(fs.readFileSync(snapshotFilePath(id), "utf8"));
   } catch (error) {
-    res.status(500).json({ error: "Failed to predict employment." });
+    logDataQuality(`Could not read snapshot ${id}: ${error.message}`, "warn");
+    return null;
   }
-});
+}
 
-app.get("/api/ml/classify-payment/:districtId", verifyToken, (req, res) => {
-  try {
-    const { districtId } = req.params;
-    const districtData = csvData[districtId];
-    if (!districtData)
-      return res.status(404).json({ error: "District not found." });
+function snapshotMetadata(snapshot) {
+  return {
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    source: snapshot.source,
+    districtCount: Object.keys(snapshot.districts).length,
+    monthCount: snapshot.monthCount,
+  };
+}
+
+function describeSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    source: snapshot.source,
+    districtCount: snapshot.districtCount,
+    monthCount: snapshot.monthCount,
+    active: snapshot.id === activeSnapshotId,
+    pinned: snapshot.id === pinnedSnapshotId,
+  };
+}
+
+// Stores a loaded dataset as a new snapshot, with its data-quality metrics
+// and validation report, and returns its metadata
+function recordSnapshot(dataset) {
+  const loadedDistricts = dataset.districts;
+  const districts = {};
+  let monthCount = 0;
+  Object.keys(loadedDistricts).forEach((districtId) => {
+    const districtData = loadedDistricts[districtId];
+    districts[districtId] = {
+      history: (districtData.history || []).map((entry) => ({
+        period: entry.period,
+        row: entry.row,
+        source: getRowSource(entry.row),
+      })),
+      historicalEmployed: districtData.historicalEmployed,
+      historicalPeriods: districtData.historicalPeriods,
+      syntheticHistory: Boolean(districtData.syntheticHistory),
+    };
+    monthCount += districts[districtId].history.length;
+  });
+
+  const sources = new Set();
+  Object.values(districts).forEach((district) =>
+    district.history.forEach((entry) => sources.add(entry.source.source))
+  );
+  const snapshot = {
+    id: snapshots.length ? snapshots[snapshots.length - 1].id + 1 : 1,
+    createdAt: new Date().toISOString(),
+    source: Array.from(sources).join(",") || "empty",
+    monthCount,
+    metrics: dataset.metrics,
+    validation: dataset.validation,
+    districts,
+  };
+  writeSnapshotFile(`snapshot-${snapshot.id}.json`, snapshot);
+  const metadata = snapshotMetadata(snapshot);
+  snapshots.push(metadata);
 
-    const raw = districtData.raw;
-    const employment = parseNumericSafe(raw[CONFIG.MAPPINGS.peopleEmployed], 0);
-    const classification = classifyPaymentSpeed(
-      employment,
-      districtData.historicalEmployed
+  // Prune the oldest snapshots, never the pinned or active one
+  while (snapshots.length > CONFIG.SNAPSHOTS.maxSnapshots) {
+    const index = snapshots.findIndex(
+      (item) =>
+        item.id !== pinnedSnapshotId &&
+        item.id !== activeSnapshotId &&
+        item.id !== snapshot.id
     );
+    if (index === -1) break;
+    const [removed] = snapshots.splice(index, 1);
+    fs.rm(snapshotFilePath(removed.id), { force: true }, () => {});
+  }
+  writeSnapshotFile(INDEX_FILE, snapshots);
 
-    res.json({
-      districtId,
-      predictedPaymentSpeed: classification,
-      method: "rule_based_classification",
-      confidence: classification ? "medium" : "low",
+  logDataQuality(
+    `Recorded snapshot ${snapshot.id}: ${
+      Object.keys(districts).length
+    } districts, ${monthCount} district-months`
+  );
+  return metadata;
+}
+
+// Replaces csvData, the data-quality metrics and the validation report with
+// those of a snapshot, read from disk. Returns false, leaving them alone, if
+// the snapshot cannot be read.
+function restoreSnapshot(id) {
+  const snapshot = readSnapshot(id);
+  if (!snapshot) return false;
+  const restored = {};
+  Object.keys(snapshot.districts).forEach((districtId) => {
+    const district = snapshot.districts[districtId];
+    const history = district.history.map((entry) => {
+      rowSources.set(entry.row, entry.source);
+      return { period: entry.period, row: entry.row };
     });
+    restored[districtId] = {
+      raw: history.length ? history[history.length - 1].row : {},
+      historicalEmployed: district.historicalEmployed,
+      historicalPeriods: district.historicalPeriods,
+      history,
+    };
+    if (district.syntheticHistory) restored[districtId].syntheticHistory = true;
+  });
+  csvData = restored;
+  // Snapshots recorded before their metrics were stored have none to show
+  if (!snapshot.metrics)
+    logDataQuality(
+      `Snapshot ${snapshot.id} has no stored data-quality metrics`,
+      "warn"
+    );
+  Object.assign(
+    dataQualityMetrics,
+    createDataQualityMetrics(),
+    snapshot.metrics || {}
+  );
+  validationReport = snapshot.validation || {
+    checkedAt: null,
+    issues: [],
+    bySeverity: {},
+  };
+  activeSnapshotId = snapshot.id;
+  return true;
+}
+
+// Reloads the snapshot index and the pin saved by a previous run. Without
+// an index, it is rebuilt once from the snapshot files.
+function loadSnapshotsFromDisk() {
+  try {
+    if (!fs.existsSync(CONFIG.SNAPSHOTS.directory)) return;
+    const indexPath = path.join(CONFIG.SNAPSHOTS.directory, INDEX_FILE);
+    if (fs.existsSync(indexPath)) {
+      snapshots = JSON.parse(fs.readFileSync(indexPath, "utf8")).filter(
+        (snapshot) => fs.existsSync(snapshotFilePath(snapshot.id))
+      );
+    } else {
+      snapshots = fs
+        .readdirSync(CONFIG.SNAPSHOTS.directory)
+        .filter((fileName) => /^snapshot-\d+\.json$/.test(fileName))
+        .map((fileName) => readSnapshot(fileName.match(/\d+/)[0]))
+        .filter(Boolean)
+        .map(snapshotMetadata);
+      writeSnapshotFile(INDEX_FILE, snapshots);
+    }
+    snapshots.sort((a, b) => a.id - b.id);
+    const pinPath = path.join(CONFIG.SNAPSHOTS.directory, PIN_FILE);
+    if (fs.existsSync(pinPath)) {
+      const { snapshotId } = JSON.parse(fs.readFileSync(pinPath, "utf8"));
+      if (snapshots.some((snapshot) => snapshot.id === snapshotId))
+        pinnedSnapshotId = snapshotId;
+    }
+    logDataQuality(
+      `Loaded ${snapshots.length} snapshots from disk${
+        pinnedSnapshotId ? `, pinned to snapshot ${pinnedSnapshotId}` : ""
+      }`
+    );
   } catch (error) {
-    res.status(500).json({ error: "Failed to classify payment speed." });
+    logDataQuality(`Could not load snapshots: ${error.message}`, "warn");
   }
-});
+}
 
-app.get("/api/ml/forecast-employment/:districtId", verifyToken, (req, res) => {
-  try {
-    const { districtId } = req.params;
-    const districtData = csvData[districtId];
-    if (!districtData)
-      return res.status(404).json({ error: "District not found." });
+function findSnapshot(id) {
+  return snapshots.find((snapshot) => String(snapshot.id) === String(id));
+}
 
-    const forecast = forecastTimeSeries(districtData.historicalEmployed);
-    res.json({
-      districtId,
-      forecastedEmployment: forecast,
-      method: "exponential_smoothing",
-      confidence: "medium",
+// Compares two snapshots: districts added or removed, months added or
+// removed per district, and every registered metric whose value changed
+function diffSnapshots(from, to, metrics) {
+  const fromIds = Object.keys(from.districts);
+  const toIds = Object.keys(to.districts);
+  const addedDistricts = toIds.filter((id) => !from.districts[id]);
+  const removedDistricts = fromIds.filter((id) => !to.districts[id]);
+  const changes = [];
+  const addedMonths = [];
+  const removedMonths = [];
+
+  toIds
+    .filter((id) => from.districts[id])
+    .forEach((districtId) => {
+      const before = {};
+      from.districts[districtId].history.forEach((entry) => {
+        before[entry.period.key] = entry.row;
+      });
+      const seen = new Set();
+      to.districts[districtId].history.forEach((entry) => {
+        const periodKey = entry.period.key;
+        seen.add(periodKey);
+        if (!before[periodKey]) {
+          addedMonths.push({ districtId, month: periodKey });
+          return;
+        }
+        metrics.forEach((metric) => {
+          const oldValue = getMetricValue(before[periodKey], metric);
+          const newValue = getMetricValue(entry.row, metric);
+          if (oldValue === newValue) return;
+          changes.push({
+            districtId,
+            month: periodKey,
+            metric: metric.id,
+            from: oldValue,
+            to: newValue,
+            delta:
+              oldValue !== null && newValue !== null
+                ? newValue - oldValue
+                : null,
+          });
+        });
+      });
+      Object.keys(before)
+        .filter((periodKey) => !seen.has(periodKey))
+        .forEach((periodKey) =>
+          removedMonths.push({ districtId, month: periodKey })
+        );
     });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to forecast employment." });
-  }
-});
 
-app.get("/api/ml/detect-anomaly/:districtId", verifyToken, (req, res) => {
-  try {
-    const { districtId } = req.params;
-    const districtData = csvData[districtId];
-    if (!districtData)
-      return res.status(404).json({ error: "District not found." });
+  return {
+    addedDistricts,
+    removedDistricts,
+    addedMonths,
+    removedMonths,
+    changes,
+  };
+}
+
+// Live Events
+// Server-Sent Events pushed to open dashboards (GET /api/events). Each
+// client is kept with the token it connected with.
+const eventClients = new Set();
+
+// A stream outlives the token check at connect, so it is re-checked before
+// each write
+function isStreamTokenValid(user) {
+  return user.exp * 1000 > Date.now() && !isTokenRevoked(user);
+}
 
-    const raw = districtData.raw;
-    const employment = parseNumericSafe(raw[CONFIG.MAPPINGS.peopleEmployed], 0);
-    const isAnomaly = detectAnomaly(
-      employment,
-      districtData.historicalEmployed
+// `data` may be a function of the client's user, returning the payload that
+// user may see or null to skip them
+function broadcastEvent(type, data) {
+  const timestamp = new Date().toISOString();
+  eventClients.forEach((client) => {
+    if (!isStreamTokenValid(client.user)) return client.res.end();
+    const payload = typeof data === "function" ? data(client.user) : data;
+    if (!payload) return;
+    client.res.write(
+      `event: ${type}\ndata: ${JSON.stringify({
+        ...payload,
+        timestamp,
+      })}\n\n`
     );
+  });
+}
 
-    res.json({
-      districtId,
-      isAnomaly,
-      method: "z_score_detection",
-      threshold: "2_std_deviations",
+// Tells dashboards what a finished refresh means for them
+function announceRefresh(status, dataset) {
+  if (status.state === "failed") {
+    broadcastEvent("data-quality-alert", {
+      reason: status.reason,
+      gateFailures: status.gateFailures,
+      trigger: status.trigger,
     });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to detect anomaly." });
+    return;
   }
-});
+  // A pinned server did not change the data it serves
+  if (activeSnapshotId !== status.snapshotId) return;
 
-app.get("/api/ml/cluster-districts", verifyToken, (req, res) => {
-  try {
-    const districtsData = Object.keys(csvData).map((districtId) => {
-      const raw = csvData[districtId].raw;
-      return {
-        id: districtId,
-        employment: parseNumericSafe(raw[CONFIG.MAPPINGS.peopleEmployed], 0),
-        paymentSpeed: parseNumericSafe(
-          raw[CONFIG.MAPPINGS.paymentSpeedValue],
-          0
-        ),
-      };
+  broadcastEvent("dataset-reloaded", {
+    snapshotId: status.snapshotId,
+    trigger: status.trigger,
+    districtCount: Object.keys(csvData).length,
+  });
+  if (dataset.metrics.invalidRows > 0) {
+    broadcastEvent("data-quality-alert", {
+      reason: `${dataset.metrics.invalidRows} rows were rejected by validation`,
+      gateFailures: [],
+      trigger: status.trigger,
     });
+  }
+  if (CONFIG.ML_FEATURES.enabled && CONFIG.ML_FEATURES.anomalyDetection) {
+    const periodKey = latestPeriodKey();
+    if (!periodKey) return;
+    const { districts } = scanAnomalies(
+      periodKey,
+      CONFIG.ANOMALY_DETECTION.defaultMetrics.map((id) => METRICS_BY_ID[id])
+    );
+    if (districts.length > 0) {
+      // District officers only hear about their own districts
+      broadcastEvent("anomaly-detected", (user) => {
+        const visible = districts.filter((district) =>
+          canAccessDistrict(user, district.districtId)
+        );
+        if (visible.length === 0) return null;
+        return {
+          month: periodKey,
+          count: visible.length,
+          districts: visible.slice(0, 5).map((district) => ({
+            districtId: district.districtId,
+            name: district.name,
+            score: district.score,
+            explanation: district.findings[0].explanation,
+          })),
+        };
+      });
+    }
+  }
+}
 
-    const clusters = clusterDistricts(districtsData);
-    res.json({
-      clusters,
-      method: "k_means_clustering",
-      k: 3,
-      clusterLabels: {
-        0: "High Performing",
-        1: "Medium Performing",
-        2: "Low Performing",
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to cluster districts." });
+// Data Refresh
+// A refresh builds a complete dataset off to the side, checks it against
+// CONFIG.REFRESH_GATES and only then swaps it in. Concurrent callers share
+// the refresh already in flight.
+let refreshStatus = {
+  state: "idle", // idle | running | succeeded | failed
+  trigger: null, // startup | manual | schedule | file_watch
+  detail: null,
+  startedAt: null,
+  finishedAt: null,
+  reason: null,
+  gateFailures: [],
+  snapshotId: null,
+  lastSucceededAt: null,
+};
+let refreshInFlight = null;
+
+// Returns the reasons a freshly loaded dataset must not replace the
+// current one
+function checkQualityGates(dataset) {
+  const gates = CONFIG.REFRESH_GATES;
+  const failures = [];
+  const districtCount = Object.keys(dataset.districts).length;
+  if (districtCount < gates.minDistricts) {
+    failures.push(
+      `Only ${districtCount} districts loaded, at least ${gates.minDistricts} required`
+    );
   }
-});
+  if (dataset.metrics.completenessScore < gates.minCompleteness) {
+    failures.push(
+      `Row completeness ${dataset.metrics.completenessScore.toFixed(
+        2
+      )}% is below ${gates.minCompleteness}%`
+    );
+  }
+  // Sample data is not a baseline worth protecting
+  const currentCount = Object.values(csvData).some(
+    (district) => district.syntheticHistory
+  )
+    ? 0
+    : Object.keys(csvData).length;
+  if (currentCount > 0) {
+    const dropPercent = ((currentCount - districtCount) / currentCount) * 100;
+    if (dropPercent > gates.maxDistrictDropPercent) {
+      failures.push(
+        `District count fell from ${currentCount} to ${districtCount} (${dropPercent.toFixed(
+          1
+        )}% drop, at most ${gates.maxDistrictDropPercent}% allowed)`
+      );
+    }
+  }
+  return failures;
+}
 
-app.get("/api/ml/config", verifyToken, (req, res) => {
-  res.json(CONFIG.ML_FEATURES);
-});
+// Records a dataset as a snapshot and, unless the server is pinned, serves it
+function applyDataset(dataset) {
+  const snapshot = recordSnapshot(dataset);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: "Something went wrong!" });
-});
+  // A pinned server keeps serving its snapshot; the new load is only stored
+  if (pinnedSnapshotId && findSnapshot(pinnedSnapshotId)) return snapshot;
 
-// Endpoint to get data quality metrics
-app.get("/api/data-quality", verifyToken, (req, res) => {
+  csvData = dataset.districts;
+  Object.assign(dataQualityMetrics, dataset.metrics);
+  validationReport = dataset.validation;
+  activeSnapshotId = snapshot.id;
+  refreshDerivedData();
+  return snapshot;
+}
+
+async function runRefresh(trigger, detail) {
+  let dataset = null;
+  refreshStatus = {
+    ...refreshStatus,
+    state: "running",
+    trigger,
+    detail: detail || null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    reason: null,
+    gateFailures: [],
+    snapshotId: null,
+  };
   try {
-    res.json({
-      metrics: dataQualityMetrics,
-      lastUpdated: new Date().toISOString(),
-    });
+    dataset =
+      CONFIG.DATA_SOURCE === "cloud"
+        ? await loadDataFromCloud()
+        : await loadDataFromCsv();
+
+    const gateFailures = checkQualityGates(dataset);
+    if (gateFailures.length > 0) {
+      refreshStatus = {
+        ...refreshStatus,
+        state: "failed",
+        finishedAt: new Date().toISOString(),
+        reason: "Quality gates failed",
+        gateFailures,
+      };
+      logDataQuality(
+        `Data refresh rejected, keeping the current data: ${gateFailures.join(
+          "; "
+        )}`,
+        "error"
+      );
+      recordRefreshRun(dataset);
+      announceRefresh(refreshStatus, dataset);
+      return refreshStatus;
+    }
+
+    const snapshot = applyDataset(dataset);
+    const finishedAt = new Date().toISOString();
+    refreshStatus = {
+      ...refreshStatus,
+      state: "succeeded",
+      finishedAt,
+      snapshotId: snapshot.id,
+      lastSucceededAt: finishedAt,
+    };
   } catch (error) {
+    refreshStatus = {
+      ...refreshStatus,
+      state: "failed",
+      finishedAt: new Date().toISOString(),
+      reason: error.message,
+    };
     logDataQuality(
-      `Error fetching data quality metrics: ${error.message}`,
+      `Data refresh failed, keeping the current data: ${error.message}`,
       "error"
     );
-    res.status(500).json({ error: "Failed to fetch data quality metrics." });
   }
+  recordRefreshRun(dataset);
+  announceRefresh(refreshStatus, dataset);
+  return refreshStatus;
+}
+
+// Data-quality history: one entry per refresh run, newest last
+const dataQualityHistory = [];
+
+function recordRefreshRun(dataset) {
+  dataQualityHistory.push({
+    trigger: refreshStatus.trigger,
+    detail: refreshStatus.detail,
+    state: refreshStatus.state,
+    startedAt: refreshStatus.startedAt,
+    finishedAt: refreshStatus.finishedAt,
+    reason: refreshStatus.reason,
+    gateFailures: refreshStatus.gateFailures,
+    snapshotId: refreshStatus.snapshotId,
+    metrics: dataset ? dataset.metrics : null,
+  });
+  if (dataQualityHistory.length > CONFIG.REFRESH_SCHEDULE.historyLength)
+    dataQualityHistory.shift();
+}
+
+// Starts a refresh, or joins the one already running
+function refreshData(trigger = "manual", detail) {
+  if (!refreshInFlight) {
+    refreshInFlight = runRefresh(trigger, detail).finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+// Recomputes everything derived from csvData
+function refreshDerivedData() {
+  refreshStateAggregates();
+  trainPaymentSpeedModel();
+  refreshModelEvaluation();
+}
+
+// Initial load; sample districts are served only if nothing else loads
+async function initializeData() {
+  loadSnapshotsFromDisk();
+  const status = await refreshData("startup");
+  const pinned = pinnedSnapshotId && findSnapshot(pinnedSnapshotId);
+  if (pinned && restoreSnapshot(pinned.id)) {
+    refreshDerivedData();
+  } else if (status.state === "failed") {
+    logDataQuality("Falling back to sample data...", "warn");
+    applyDataset(loadSampleData());
+  }
+}
+
+// Refreshes the cloud source every cloudIntervalMinutes
+function startRefreshSchedule() {
+  const minutes = CONFIG.REFRESH_SCHEDULE.cloudIntervalMinutes;
+  if (CONFIG.DATA_SOURCE !== "cloud" || !(minutes > 0)) return;
+  setInterval(() => refreshData("schedule"), minutes * 60 * 1000);
+  logDataQuality(`Scheduled cloud refresh every ${minutes} minutes`);
+}
+
+// Reloads when a CSV source is added, changed or removed. Bursts of events
+// are debounced, and a change that lands during a running refresh queues a
+// new one, since the running refresh may already have read the old file.
+function startCsvWatcher() {
+  if (CONFIG.DATA_SOURCE === "cloud" || !CONFIG.REFRESH_SCHEDULE.watchCsvFiles)
+    return;
+
+  let timer = null;
+  const changedFiles = new Set();
+  chokidar
+    .watch(CONFIG.CSV_FILE_PATHS, { ignoreInitial: true })
+    .on("all", (event, filePath) => {
+      if (!["add", "change", "unlink"].includes(event)) return;
+      changedFiles.add(path.basename(filePath));
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const detail = `Changed: ${Array.from(changedFiles).join(", ")}`;
+        changedFiles.clear();
+        logDataQuality(`CSV source changed, reloading (${detail})`);
+        const pending = refreshInFlight || Promise.resolve();
+        pending.then(() => refreshData("file_watch", detail));
+      }, CONFIG.REFRESH_SCHEDULE.debounceMs);
+    })
+    .on("error", (error) =>
+      logDataQuality(`CSV watcher error: ${error.message}`, "warn")
+    );
+  logDataQuality(`Watching ${CONFIG.CSV_FILE_PATHS.join(", ")} for changes`);
+}
+
+// Load data on start, then keep it fresh
+initializeData().then(() => {
+  startRefreshSchedule();
+  startCsvWatcher();
 });
 
+// Configuration Store
+// Runtime edits to analysis thresholds, score weights and ML feature flags.
+// Thresholds can be overridden per district size band and per state (the
+// state wins). Every change bumps the version and is kept in the history on
+// disk.
+const THRESHOLD_RULES = {
+  // Keys in descending order; `max` caps percentage-based rules
+  workAvailability: { keys: ["high", "medium"], max: 100 },
+  paymentSpeed: { keys: ["good", "okay"], max: 100 },
+  stateComparison: { keys: ["better", "average"], max: 100 },
+};
+
+let configStore = {
+  version: 0,
+  overrides: { sizes: {}, states: {} },
+  history: [],
+};
+
+// Version 2 stores only the values an admin changed, so the code defaults
+// still apply to everything else
+const CONFIG_SCHEMA_VERSION = 2;
+
+// Stored sections of the config file, with the history section that edits
+// each of them
+const CONFIG_SECTIONS = {
+  defaults: "analysis-rules",
+  mlFeatures: "ml",
+  workAvailabilityWeights: "work-availability",
+  performanceIndex: "performance-index",
+};
+
+// The editable configuration, in the shape the config file stores
+function currentConfigValues() {
+  const defaults = {};
+  Object.keys(THRESHOLD_RULES).forEach((rule) => {
+    defaults[rule] = { ...CONFIG.ANALYSIS_RULES[rule].thresholds };
+  });
+  return {
+    defaults,
+    mlFeatures: { ...CONFIG.ML_FEATURES },
+    workAvailabilityWeights: getComponentWeights(
+      CONFIG.WORK_AVAILABILITY.components
+    ),
+    performanceIndex: {
+      normalisation: CONFIG.PERFORMANCE_INDEX.normalisation,
+      weights: getComponentWeights(CONFIG.PERFORMANCE_INDEX.components),
+    },
+  };
+}
+
+// The parts of `value` that differ from `base`, key by key; undefined when
+// nothing does
+function pickChanged(value, base) {
+  const isObject = (item) =>
+    item !== null && typeof item === "object" && !Array.isArray(item);
+  if (!isObject(value) || !isObject(base))
+    return value === base ? undefined : value;
+  const changed = {};
+  Object.keys(value).forEach((key) => {
+    const item = pickChanged(value[key], base[key]);
+    if (item !== undefined) changed[key] = item;
+  });
+  return Object.keys(changed).length > 0 ? changed : undefined;
+}
+
+// Keeps the keys of `stored` that `base` still has, recursing into objects
+function pickKnown(stored, base) {
+  if (base === null || typeof base !== "object") return stored;
+  if (stored === null || typeof stored !== "object") return undefined;
+  const known = {};
+  Object.keys(stored).forEach((key) => {
+    if (!(key in base)) return;
+    const item = pickKnown(stored[key], base[key]);
+    if (item !== undefined) known[key] = item;
+  });
+  return known;
+}
+
+// The code defaults, captured before the config file is applied
+let codeConfigDefaults = null;
+
+function saveConfigStore() {
+  try {
+    fs.writeFileSync(
+      CONFIG.CONFIG_STORE_FILE,
+      JSON.stringify(
+        {
+          schemaVersion: CONFIG_SCHEMA_VERSION,
+          ...configStore,
+          ...pickChanged(currentConfigValues(), codeConfigDefaults),
+        },
+        null,
+        2
+      )
+    );
+  } catch (error) {
+    logDataQuality(`Could not save config store: ${error.message}`, "error");
+  }
+}
+
+// Version 1 files stored every value in full. Only the keys the history
+// shows an admin changed are kept; the rest were the code defaults of the
+// time.
+function migrateConfigStore(stored) {
+  const edited = {};
+  (stored.history || []).forEach((entry) => {
+    if (entry.scope !== "default") return;
+    const changed = pickChanged(entry.after, entry.before);
+    Object.keys(CONFIG_SECTIONS).forEach((section) => {
+      if (CONFIG_SECTIONS[section] !== entry.section || !changed) return;
+      edited[section] = mergeConfigValues(edited[section] || {}, changed);
+    });
+  });
+  const migrated = { ...stored };
+  Object.keys(CONFIG_SECTIONS).forEach((section) => {
+    migrated[section] = edited[section]
+      ? keepEditedKeys(stored[section], edited[section])
+      : undefined;
+  });
+  return migrated;
+}
+
+function mergeConfigValues(target, source) {
+  const merged = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] =
+      value !== null && typeof value === "object" && !Array.isArray(value)
+        ? mergeConfigValues(merged[key] || {}, value)
+        : value;
+  });
+  return merged;
+}
+
+function keepEditedKeys(stored, edited) {
+  if (stored === null || typeof stored !== "object") return stored;
+  const kept = {};
+  Object.keys(edited).forEach((key) => {
+    if (!(key in stored)) return;
+    kept[key] =
+      edited[key] !== null && typeof edited[key] === "object"
+        ? keepEditedKeys(stored[key], edited[key])
+        : stored[key];
+  });
+  return kept;
+}
+
+// Applies the stored configuration on startup, key by key on top of the
+// current code defaults
+function loadConfigStore() {
+  codeConfigDefaults = currentConfigValues();
+  try {
+    if (!fs.existsSync(CONFIG.CONFIG_STORE_FILE)) return;
+    let stored = JSON.parse(fs.readFileSync(CONFIG.CONFIG_STORE_FILE, "utf8"));
+    const migrating = (stored.schemaVersion || 1) < CONFIG_SCHEMA_VERSION;
+    if (migrating) stored = migrateConfigStore(stored);
+    const values = mergeConfigValues(
+      codeConfigDefaults,
+      pickKnown(
+        {
+          defaults: stored.defaults || {},
+          mlFeatures: stored.mlFeatures || {},
+          workAvailabilityWeights: stored.workAvailabilityWeights || {},
+          performanceIndex: stored.performanceIndex || {},
+        },
+        codeConfigDefaults
+      )
+    );
+
+    const candidate = {};
+    Object.keys(THRESHOLD_RULES).forEach((rule) => {
+      candidate[rule] = { thresholds: values.defaults[rule] };
+    });
+    const orderError = validateThresholdOrder(candidate);
+    if (orderError) {
+      logDataQuality(
+        `Stored thresholds ignored, keeping the defaults: ${orderError}`,
+        "warn"
+      );
+    } else {
+      Object.keys(THRESHOLD_RULES).forEach((rule) => {
+        CONFIG.ANALYSIS_RULES[rule].thresholds = values.defaults[rule];
+      });
+    }
+    Object.assign(CONFIG.ML_FEATURES, values.mlFeatures);
+    Object.entries(values.workAvailabilityWeights).forEach(([id, weight]) => {
+      CONFIG.WORK_AVAILABILITY.components[id].weight = weight;
+    });
+    CONFIG.PERFORMANCE_INDEX.normalisation =
+      values.performanceIndex.normalisation;
+    Object.entries(values.performanceIndex.weights).forEach(([id, weight]) => {
+      CONFIG.PERFORMANCE_INDEX.components[id].weight = weight;
+    });
+
+    // Overrides are partial already; drop rules and keys that no longer exist
+    const overrides = { sizes: {}, states: {} };
+    ["sizes", "states"].forEach((bucket) => {
+      Object.entries((stored.overrides || {})[bucket] || {}).forEach(
+        ([key, override]) => {
+          overrides[bucket][key] = pickKnown(
+            override,
+            codeConfigDefaults.defaults
+          );
+        }
+      );
+    });
+    configStore = {
+      version: stored.version || 0,
+      overrides,
+      history: stored.history || [],
+    };
+    if (migrating) saveConfigStore();
+    logDataQuality(
+      `Loaded configuration version ${configStore.version}${
+        migrating ? ` (migrated to schema ${CONFIG_SCHEMA_VERSION})` : ""
+      }`
+    );
+  } catch (error) {
+    logDataQuality(`Could not read config store: ${error.message}`, "error");
+  }
+}
+
+function getComponentWeights(components) {
+  const weights = {};
+  Object.entries(components).forEach(([id, component]) => {
+    weights[id] = component.weight;
+  });
+  return weights;
+}
+
+// Checks a partial { componentId: weight } update against a score's
+// components; returns an error message or null
+function validateWeightInput(components, weights) {
+  if (!weights || typeof weights !== "object" || Array.isArray(weights))
+    return "weights must be an object keyed by component.";
+  const unknown = Object.keys(weights).filter((id) => !components[id]);
+  if (unknown.length > 0)
+    return `Unknown components: ${unknown.join(", ")}. Expected ${Object.keys(
+      components
+    ).join(", ")}.`;
+  const invalid = Object.keys(weights).filter(
+    (id) =>
+      typeof weights[id] !== "number" ||
+      !isFinite(weights[id]) ||
+      weights[id] < 0
+  );
+  if (invalid.length > 0)
+    return `Weights must be non-negative numbers: ${invalid.join(", ")}`;
+  const merged = { ...getComponentWeights(components), ...weights };
+  if (!Object.values(merged).some((weight) => weight > 0))
+    return "At least one weight must be above zero.";
+  return null;
+}
+
+// Records a change in the history, keeping only the keys it changed
+function recordConfigChange(section, scope, before, after, actor) {
+  configStore.version++;
+  configStore.history.push({
+    version: configStore.version,
+    timestamp: new Date().toISOString(),
+    actor,
+    section,
+    scope,
+    before: after && before ? pickChanged(before, after) || {} : before,
+    after: after && before ? pickChanged(after, before) || {} : after,
+  });
+  saveConfigStore();
+  return configStore.version;
+}
+
+function getDistrictSizeBand(raw) {
+  const value = getMetricValue(raw, METRICS_BY_ID[CONFIG.DISTRICT_SIZE.metric]);
+  if (value === null) return null;
+  const { small, large } = CONFIG.DISTRICT_SIZE.bands;
+  if (value < small) return "small";
+  return value >= large ? "large" : "medium";
+}
+
+// Analysis rules for one district row: defaults, then its size band's
+// overrides, then its state's overrides
+function resolveAnalysisRules(raw) {
+  const sizeBand = getDistrictSizeBand(raw);
+  const stateCode = getDistrictState(raw);
+  const scopes = ["default"];
+  const layers = [];
+  if (sizeBand && configStore.overrides.sizes[sizeBand]) {
+    scopes.push(`size:${sizeBand}`);
+    layers.push(configStore.overrides.sizes[sizeBand]);
+  }
+  if (configStore.overrides.states[stateCode]) {
+    scopes.push(`state:${stateCode}`);
+    layers.push(configStore.overrides.states[stateCode]);
+  }
+
+  const rules = { peopleEmployed: CONFIG.ANALYSIS_RULES.peopleEmployed };
+  Object.keys(THRESHOLD_RULES).forEach((rule) => {
+    rules[rule] = {
+      ...CONFIG.ANALYSIS_RULES[rule],
+      thresholds: Object.assign(
+        {},
+        CONFIG.ANALYSIS_RULES[rule].thresholds,
+        ...layers.map((layer) => layer[rule] || {})
+      ),
+    };
+  });
+  rules.applied = { version: configStore.version, sizeBand, scopes };
+  return rules;
+}
+
+// Checks a partial { rule: { key: number } } threshold update
+function validateThresholdInput(thresholds) {
+  if (
+    !thresholds ||
+    typeof thresholds !== "object" ||
+    Array.isArray(thresholds)
+  )
+    return "thresholds must be an object keyed by rule.";
+  for (const rule of Object.keys(thresholds)) {
+    if (!THRESHOLD_RULES[rule])
+      return `Unknown rule ${rule}. Expected ${Object.keys(
+        THRESHOLD_RULES
+      ).join(", ")}.`;
+    const values = thresholds[rule];
+    if (!values || typeof values !== "object")
+      return `${rule} must be an object of thresholds.`;
+    for (const key of Object.keys(values)) {
+      if (!THRESHOLD_RULES[rule].keys.includes(key))
+        return `Unknown threshold ${rule}.${key}. Expected ${THRESHOLD_RULES[
+          rule
+        ].keys.join(", ")}.`;
+      const value = values[key];
+      if (typeof value !== "number" || !isFinite(value) || value < 0)
+        return `${rule}.${key} must be a non-negative number.`;
+      if (value > THRESHOLD_RULES[rule].max)
+        return `${rule}.${key} must be at most ${THRESHOLD_RULES[rule].max}.`;
+    }
+  }
+  return null;
+}
+
+// Checks that each rule's effective thresholds are strictly descending
+function validateThresholdOrder(rules) {
+  for (const rule of Object.keys(THRESHOLD_RULES)) {
+    const [upper, lower] = THRESHOLD_RULES[rule].keys;
+    if (!(rules[rule].thresholds[upper] > rules[rule].thresholds[lower]))
+      return `${rule}.${upper} must be greater than ${rule}.${lower}.`;
+  }
+  return null;
+}
+
+loadConfigStore();
+
+// Users and Roles
+// Permissions granted by each role. District officers additionally only see
+// the districts listed on their account.
+const ROLES = {
+  viewer: ["data:read"],
+  district_officer: ["data:read"],
+  analyst: ["data:read", "analysis:read", "ml:train"],
+  admin: [
+    "data:read",
+    "analysis:read",
+    "ml:train",
+    "data:manage",
+    "users:manage",
+    "audit:read",
+    "config:manage",
+  ],
+};
+
+let users = {};
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function saveUsers() {
+  fs.writeFileSync(CONFIG.USERS_FILE, JSON.stringify(users, null, 2), {
+    mode: 0o600,
+  });
+}
+
+// Returns an error message for an invalid user definition, or null
+function validateUserInput({ username, password, role, districts }) {
+  if (!isValidString(username) || !/^[\w.@-]{3,64}$/.test(username))
+    return "username must be 3-64 letters, digits or . _ @ -";
+  if (typeof password !== "string" || password.length < 8)
+    return "password must be at least 8 characters.";
+  if (!ROLES[role])
+    return `role must be one of ${Object.keys(ROLES).join(", ")}.`;
+  if (role === "district_officer") {
+    if (!Array.isArray(districts) || districts.length === 0)
+      return "district officers need a non-empty districts list.";
+    if (districts.some((code) => !isValidString(String(code))))
+      return "districts must be district ids or codes.";
+  }
+  return null;
+}
+
+function createUser({ username, password, role, districts }) {
+  users[username] = {
+    username,
+    passwordHash: hashPassword(password),
+    role,
+    districts:
+      role === "district_officer" ? districts.map((code) => String(code)) : [],
+    createdAt: new Date().toISOString(),
+  };
+  saveUsers();
+  return describeUser(users[username]);
+}
+
+function describeUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    districts: user.districts,
+    createdAt: user.createdAt,
+  };
+}
+
+// Loads the user store, creating the first admin from the environment
+function loadUsers() {
+  try {
+    if (fs.existsSync(CONFIG.USERS_FILE))
+      users = JSON.parse(fs.readFileSync(CONFIG.USERS_FILE, "utf8"));
+  } catch (error) {
+    logDataQuality(`Could not read user store: ${error.message}`, "error");
+  }
+  if (Object.keys(users).length > 0) return;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+    const error = validateUserInput({
+      username: ADMIN_USERNAME,
+      password: ADMIN_PASSWORD,
+      role: "admin",
+    });
+    if (error) {
+      logDataQuality(`Cannot create admin user: ${error}`, "error");
+      return;
+    }
+    createUser({
+      username: ADMIN_USERNAME,
+      password: ADMIN_PASSWORD,
+      role: "admin",
+    });
+    logDataQuality(`Created admin user ${ADMIN_USERNAME}`);
+  } else {
+    logDataQuality(
+      "No users configured; set ADMIN_USERNAME and ADMIN_PASSWORD to create an admin",
+      "warn"
+    );
+  }
+}
+
+loadUsers();
+
+function hasPermission(user, permission) {
+  return Boolean(
+    user && ROLES[user.role] && ROLES[user.role].includes(permission)
+  );
+}
+
+// Token Revocation
+// Revoked token ids (kept until the token would have expired anyway) and,
+// per user, a token version: tokens carry the version they were issued
+// under, and revoking a user's tokens bumps it
+let revocations = { tokens: {}, versions: {} };
+
+function loadRevocations() {
+  try {
+    if (fs.existsSync(CONFIG.TOKENS.revocationFile))
+      revocations = {
+        tokens: {},
+        versions: {},
+        ...JSON.parse(fs.readFileSync(CONFIG.TOKENS.revocationFile, "utf8")),
+      };
+    // Earlier files kept a revocation time per user; their tokens carry no
+    // version, so version 1 voids them
+    Object.keys(revocations.users || {}).forEach((username) => {
+      revocations.versions[username] = Math.max(
+        revocations.versions[username] || 0,
+        1
+      );
+    });
+    delete revocations.users;
+  } catch (error) {
+    logDataQuality(`Could not read revocation list: ${error.message}`, "error");
+  }
+}
+
+function saveRevocations() {
+  const now = Date.now() / 1000;
+  Object.keys(revocations.tokens).forEach((jti) => {
+    if (revocations.tokens[jti] < now) delete revocations.tokens[jti];
+  });
+  try {
+    fs.writeFileSync(
+      CONFIG.TOKENS.revocationFile,
+      JSON.stringify(revocations),
+      { mode: 0o600 }
+    );
+  } catch (error) {
+    logDataQuality(`Could not save revocation list: ${error.message}`, "error");
+  }
+}
+
+function revokeToken(decoded) {
+  if (!decoded.jti) return;
+  revocations.tokens[decoded.jti] = decoded.exp;
+  saveRevocations();
+}
+
+function isTokenRevoked(decoded) {
+  if (decoded.jti && revocations.tokens[decoded.jti]) return true;
+  if (decoded.sub === "guest") return false;
+  // Tokens of deleted users die with the account
+  if (!users[decoded.sub]) return true;
+  return (decoded.ver || 0) < (revocations.versions[decoded.sub] || 0);
+}
+
+loadRevocations();
+
+// Audit Log
+// Append-only JSON lines recording who did what to the server's state
+function recordAudit(
+  req,
+  action,
+  { outcome = "success", target, details, actor } = {}
+) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    action,
+    outcome,
+    actor: actor !== undefined ? actor : req.user ? req.user.sub : null,
+    role: req.user ? req.user.role : null,
+    ip: req.ip,
+    target: target || null,
+    details: details || null,
+  };
+  try {
+    fs.appendFileSync(CONFIG.AUDIT_LOG_FILE, `${JSON.stringify(entry)}\n`, {
+      mode: 0o600,
+    });
+  } catch (error) {
+    logDataQuality(`Could not write audit entry: ${error.message}`, "error");
+  }
+}
+
+function readAuditLog() {
+  if (!fs.existsSync(CONFIG.AUDIT_LOG_FILE)) return [];
+  return fs
+    .readFileSync(CONFIG.AUDIT_LOG_FILE, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// District officers may only see the districts on their account
+function canAccessDistrict(user, districtId) {
+  if (!user || user.role !== "district_officer") return true;
+  // Read from the user store, not the token, so a changed account applies
+  // to tokens already issued
+  const account = users[user.sub];
+  return ((account && account.districts) || []).some(
+    (code) => code === districtId || resolveDistrictId(code) === districtId
+  );
+}
+
+// JWT Verification Middleware
+const verifyToken = (req, res, next) => {
+  const token = req.headers["authorization"]?.split(" ")[1];
+  if (!token)
+    return res.status(401).json({ error: "Access denied. No token provided." });
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    if (err || !ROLES[decoded.role] || decoded.type === "refresh")
+      return res.status(403).json({ error: "Invalid token." });
+    if (isTokenRevoked(decoded))
+      return res.status(401).json({ error: "Token has been revoked." });
+    req.user = decoded;
+    next();
+  });
+};
+
+// Permissions whose denials are worth an audit entry
+const AUDITED_PERMISSIONS = [
+  "data:manage",
+  "users:manage",
+  "ml:train",
+  "audit:read",
+  "config:manage",
+];
+
+// Route guard: the token's role must grant the permission
+const authorize = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    if (AUDITED_PERMISSIONS.includes(permission))
+      recordAudit(req, "access.denied", {
+        outcome: "denied",
+        target: `${req.method} ${req.originalUrl}`,
+        details: { permission },
+      });
+    return res.status(403).json({ error: "Insufficient permissions." });
+  }
+  next();
+};
+
+// Route guard for :districtId routes; unknown ids fall through to the
+// route's own 404
+const authorizeDistrict = (req, res, next) => {
+  const districtId = resolveDistrictId(req.params.districtId);
+  if (districtId && !canAccessDistrict(req.user, districtId))
+    return res
+      .status(403)
+      .json({ error: "Access to this district is not permitted." });
+  next();
+};
+
+// Issues a short-lived access token and a long-lived refresh token
+function signUserTokens(user) {
+  const payload = {
+    sub: user.username,
+    role: user.role,
+    ver: revocations.versions[user.username] || 0,
+    jti: crypto.randomUUID(),
+  };
+  if (user.role === "district_officer") payload.districts = user.districts;
+  return {
+    token: jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: CONFIG.TOKENS.accessSeconds,
+    }),
+    refreshToken: jwt.sign(
+      {
+        sub: user.username,
+        role: user.role,
+        type: "refresh",
+        ver: payload.ver,
+        jti: crypto.randomUUID(),
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: CONFIG.TOKENS.refreshSeconds }
+    ),
+    expiresIn: CONFIG.TOKENS.accessSeconds,
+  };
+}
+
+// Rate Limiting
+// Fixed-window counters per route group, keyed by IP and by token id
+const rateLimitCounters = new Map();
+
+function rateLimitGroup(req) {
+  if (req.path.startsWith("/auth/")) return "auth";
+  if (
+    req.method !== "GET" ||
+    req.path.startsWith("/admin/") ||
+    req.path.startsWith("/users")
+  )
+    return "admin";
+  if (req.path.startsWith("/ml/")) return "ml";
+  return "read";
+}
+
+// Counts one request against a key; returns seconds to wait when the
+// budget is spent, otherwise 0
+function consumeRateLimit(key, limit, now) {
+  if (!limit) return 0;
+  const windowMs = CONFIG.RATE_LIMITS.windowMs;
+  let counter = rateLimitCounters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowMs };
+    rateLimitCounters.set(key, counter);
+  }
+  counter.count++;
+  return counter.count > limit ? Math.ceil((counter.resetAt - now) / 1000) : 0;
+}
+
+app.use("/api", (req, res, next) => {
+  const group = rateLimitGroup(req);
+  const budget = CONFIG.RATE_LIMITS.groups[group];
+  const now = Date.now();
+
+  // Only a verified token gets its own budget, so forged ids cannot be
+  // used to spread requests
+  let tokenId = null;
+  const token = req.headers["authorization"]?.split(" ")[1] || req.query.token;
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      tokenId = decoded.jti || `${decoded.sub}:${decoded.iat}`;
+    } catch (error) {
+      tokenId = null;
+    }
+  }
+
+  const retryAfter = Math.max(
+    consumeRateLimit(`ip:${req.ip}:${group}`, budget.perIp, now),
+    tokenId
+      ? consumeRateLimit(`token:${tokenId}:${group}`, budget.perToken, now)
+      : 0
+  );
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return res
+      .status(429)
+      .json({ error: "Too many requests. Try again later." });
+  }
+  next();
+});
+
+// Drop expired windows so idle clients do not accumulate
+setInterval(() => {
+  const now = Date.now();
+  rateLimitCounters.forEach((counter, key) => {
+    if (counter.resetAt <= now) rateLimitCounters.delete(key);
+  });
+}, CONFIG.RATE_LIMITS.windowMs).unref();
+
+// Public endpoint to generate guest JWT
+app.get("/api/auth/token", (req, res) => {
+  try {
+    // Anonymous dashboard visitors get read-only access
+    const payload = { sub: "guest", role: "viewer", jti: crypto.randomUUID() };
+    const token = jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: CONFIG.TOKENS.guestSeconds,
+    });
+    res.json({ token });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to generate token." });
+  }
+});
+
+// Public endpoint exchanging a username and password for a JWT
+app.post("/api/auth/login", (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user = typeof username === "string" && users[username];
+    if (
+      !user ||
+      typeof password !== "string" ||
+      !verifyPassword(password, user.passwordHash)
+    ) {
+      recordAudit(req, "auth.login", {
+        outcome: "failure",
+        actor: typeof username === "string" ? username : null,
+      });
+      return res.status(401).json({ error: "Invalid username or password." });
+    }
+
+    recordAudit(req, "auth.login", { actor: user.username });
+    res.json({ ...signUserTokens(user), user: describeUser(user) });
+  } catch (error) {
+    logDataQuality(`Error logging in: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to log in." });
+  }
+});
+
+// Public endpoint exchanging a refresh token for a new token pair. The old
+// refresh token is revoked, so each one can be used once.
+app.post("/api/auth/refresh", (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    let decoded;
+    try {
+      decoded = jwt.verify(String(refreshToken), process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+    if (!decoded || decoded.type !== "refresh" || isTokenRevoked(decoded))
+      return res
+        .status(401)
+        .json({ error: "Invalid or revoked refresh token." });
+
+    revokeToken(decoded);
+    const user = users[decoded.sub];
+    recordAudit(req, "auth.refresh", { actor: user.username });
+    res.json({ ...signUserTokens(user), user: describeUser(user) });
+  } catch (error) {
+    logDataQuality(`Error refreshing token: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to refresh token." });
+  }
+});
+
+// Protected endpoint revoking the caller's token and, if given, its
+// refresh token
+app.post("/api/auth/logout", verifyToken, (req, res) => {
+  try {
+    revokeToken(req.user);
+    const { refreshToken } = req.body || {};
+    if (refreshToken) {
+      try {
+        const decoded = jwt.verify(
+          String(refreshToken),
+          process.env.JWT_SECRET
+        );
+        if (decoded.type === "refresh" && decoded.sub === req.user.sub)
+          revokeToken(decoded);
+      } catch (error) {
+        // An expired or invalid refresh token needs no revoking
+      }
+    }
+    recordAudit(req, "auth.logout");
+    res.status(204).end();
+  } catch (error) {
+    logDataQuality(`Error logging out: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to log out." });
+  }
+});
+
+// Admin endpoint revoking every token issued to a user so far
+app.post(
+  "/api/admin/revoke",
+  verifyToken,
+  authorize("users:manage"),
+  (req, res) => {
+    try {
+      const { username } = req.body || {};
+      if (!isValidString(username) || !users[username])
+        return res.status(404).json({ error: "User not found." });
+
+      revocations.versions[username] =
+        (revocations.versions[username] || 0) + 1;
+      saveRevocations();
+      recordAudit(req, "tokens.revoke", { target: username });
+      res.json({ message: `All tokens of ${username} revoked.` });
+    } catch (error) {
+      logDataQuality(`Error revoking tokens: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to revoke tokens." });
+    }
+  }
+);
+
+// Admin endpoint querying the audit log, newest first
+app.get(
+  "/api/admin/audit",
+  verifyToken,
+  authorize("audit:read"),
+  (req, res) => {
+    try {
+      const { action, actor, outcome, from, to } = req.query;
+      let limit = 100;
+      if (req.query.limit !== undefined) {
+        limit = parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1)
+          return res
+            .status(400)
+            .json({ error: "limit must be a positive integer." });
+      }
+      for (const [name, value] of [
+        ["from", from],
+        ["to", to],
+      ]) {
+        if (value !== undefined && isNaN(Date.parse(value)))
+          return res
+            .status(400)
+            .json({ error: `${name} must be an ISO date or timestamp.` });
+      }
+
+      const entries = readAuditLog().filter(
+        (entry) =>
+          (!action ||
+            entry.action === action ||
+            entry.action.startsWith(`${action}.`)) &&
+          (!actor || entry.actor === actor) &&
+          (!outcome || entry.outcome === outcome) &&
+          (!from || Date.parse(entry.timestamp) >= Date.parse(from)) &&
+          (!to || Date.parse(entry.timestamp) <= Date.parse(to))
+      );
+      res.json({
+        total: entries.length,
+        entries: entries.reverse().slice(0, limit),
+      });
+    } catch (error) {
+      logDataQuality(`Error reading audit log: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to read audit log." });
+    }
+  }
+);
+
+// Admin endpoints managing the local user store
+app.get("/api/users", verifyToken, authorize("users:manage"), (req, res) => {
+  try {
+    res.json(Object.values(users).map(describeUser));
+  } catch (error) {
+    res.status(500).json({ error: "Failed to list users." });
+  }
+});
+
+app.post("/api/users", verifyToken, authorize("users:manage"), (req, res) => {
+  try {
+    const input = req.body || {};
+    const error = validateUserInput(input);
+    if (error) return res.status(400).json({ error });
+    if (users[input.username])
+      return res.status(409).json({ error: "User already exists." });
+
+    const user = createUser(input);
+    logDataQuality(`User ${user.username} created with role ${user.role}`);
+    recordAudit(req, "users.create", {
+      target: user.username,
+      details: { role: user.role, districts: user.districts },
+    });
+    res.status(201).json(user);
+  } catch (error) {
+    logDataQuality(`Error creating user: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to create user." });
+  }
+});
+
+app.delete(
+  "/api/users/:username",
+  verifyToken,
+  authorize("users:manage"),
+  (req, res) => {
+    try {
+      const username = req.params.username;
+      if (!users[username])
+        return res.status(404).json({ error: "User not found." });
+      if (username === req.user.sub)
+        return res
+          .status(409)
+          .json({ error: "You cannot delete your own account." });
+
+      delete users[username];
+      saveUsers();
+      logDataQuality(`User ${username} deleted`);
+      recordAudit(req, "users.delete", { target: username });
+      res.status(204).end();
+    } catch (error) {
+      logDataQuality(`Error deleting user: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to delete user." });
+    }
+  }
+);
+
+// Route to serve index.html at root path
+app.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "index.html"));
+});
+// Lists loaded districts, optionally limited to one state and to those the
+// user may see
+function listDistricts(stateCode, user) {
+  return Object.keys(csvData)
+    .filter(
+      (districtId) =>
+        (!stateCode ||
+          getDistrictState(csvData[districtId].raw) === stateCode) &&
+        canAccessDistrict(user, districtId)
+    )
+    .map((districtId) => {
+      const raw = csvData[districtId].raw;
+      return {
+        id: districtId,
+        name: isValidString(raw[CONFIG.MAPPINGS.districtName])
+          ? raw[CONFIG.MAPPINGS.districtName]
+          : districtId,
+        districtCode: String(raw[CONFIG.MAPPINGS.districtId]).trim(),
+        stateCode: getDistrictState(raw),
+        stateName: raw[CONFIG.MAPPINGS.stateName] || null,
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Protected endpoint to fetch list of states with loaded districts
+app.get("/api/states", verifyToken, authorize("data:read"), (req, res) => {
+  try {
+    const states = {};
+    Object.keys(csvData).forEach((districtId) => {
+      if (!canAccessDistrict(req.user, districtId)) return;
+      const raw = csvData[districtId].raw;
+      const code = getDistrictState(raw);
+      if (!states[code]) {
+        states[code] = {
+          code,
+          name: raw[CONFIG.MAPPINGS.stateName] || code,
+          districtCount: 0,
+        };
+      }
+      states[code].districtCount++;
+    });
+    res.json(
+      Object.values(states).sort((a, b) => a.name.localeCompare(b.name))
+    );
+  } catch (error) {
+    logDataQuality(`Error fetching states: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to fetch states." });
+  }
+});
+
+// Protected endpoint to fetch the districts of one state
+app.get(
+  "/api/states/:stateCode/districts",
+  verifyToken,
+  authorize("data:read"),
+  (req, res) => {
+    try {
+      const districts = listDistricts(req.params.stateCode, req.user);
+      if (districts.length === 0)
+        return res.status(404).json({ error: "State not found." });
+      res.json(districts);
+    } catch (error) {
+      logDataQuality(
+        `Error fetching districts for state ${req.params.stateCode}: ${error.message}`,
+        "error"
+      );
+      res.status(500).json({ error: "Failed to fetch districts." });
+    }
+  }
+);
+
+// Protected endpoint to fetch list of districts (all states, or ?state=)
+app.get("/api/districts", verifyToken, authorize("data:read"), (req, res) => {
+  try {
+    res.json(listDistricts(req.query.state, req.user));
+  } catch (error) {
+    logDataQuality(`Error fetching districts: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to fetch districts." });
+  }
+});
+
+// Builds the dashboard payload (card labels, colours, series and ML
+// insights) for a district and a window chosen by selectTimeWindow
+function buildDistrictPayload(districtData, timeWindow) {
+  // Without a month or range, keep the load-time 6-month series
+  const historicalEmployed = timeWindow.custom
+    ? timeWindow.series.map((entry) =>
+        parseNumericSafe(entry.row[CONFIG.MAPPINGS.historicalEmployed], 0)
+      )
+    : districtData.historicalEmployed;
+  const historicalPeriods = timeWindow.custom
+    ? timeWindow.series.map((entry) => entry.period.key)
+    : districtData.historicalPeriods || [];
+
+  // Apply transformations on-the-fly with safe parsing
+  const raw = timeWindow.entry ? timeWindow.entry.row : districtData.raw;
+  const rules = resolveAnalysisRules(raw);
+  const workAvailabilityScore = scoreWorkAvailability(raw);
+  const workAvailabilityBand = workAvailabilityScore
+    ? classifyWorkAvailability(
+        workAvailabilityScore.score,
+        rules.workAvailability.thresholds
+      )
+    : null;
+  const paymentSpeedValue = parseNumericSafe(
+    raw[CONFIG.MAPPINGS.paymentSpeedValue],
+    0
+  );
+  const peopleEmployedValue = parseNumericSafe(
+    raw[CONFIG.MAPPINGS.peopleEmployed],
+    0
+  );
+  const stateComparisonDetail = compareToState(
+    raw,
+    timeWindow.entry,
+    METRICS_BY_ID[CONFIG.MAPPINGS.stateComparisonValue]
+  );
+  const stateComparisonBand = stateComparisonDetail
+    ? classifyStateComparison(
+        stateComparisonDetail.percentileRank,
+        rules.stateComparison.thresholds
+      )
+    : null;
+
+  // ML predictions for missing data
+  const predictedEmployment =
+    peopleEmployedValue === 0
+      ? predictEmploymentMissing(historicalEmployed)
+      : null;
+  const paymentClassification =
+    paymentSpeedValue === 0 ? classifyPaymentSpeed(raw) : null;
+  const predictedPaymentSpeed = paymentClassification
+    ? paymentClassification.label
+    : null;
+  // Fit on the full history up to the window's last month, so the flows
+  // are not cut off mid-year; the window is only what is displayed
+  const lastWindowPeriod = historicalPeriods[historicalPeriods.length - 1];
+  const forecastHistory = (districtData.history || []).filter(
+    (entry) => lastWindowPeriod && entry.period.key <= lastWindowPeriod
+  );
+  const forecast =
+    forecastHistory.length > 1
+      ? forecastTimeSeries(
+          forecastHistory.map((entry) =>
+            parseNumericSafe(entry.row[CONFIG.MAPPINGS.historicalEmployed], 0)
+          ),
+          CONFIG.FORECASTING.dashboardHorizon,
+          forecastHistory.map((entry) => entry.period.key)
+        )
+      : forecastTimeSeries(
+          historicalEmployed,
+          CONFIG.FORECASTING.dashboardHorizon,
+          historicalPeriods
+        );
+  const forecastedEmployment = forecast ? forecast.forecasts[0].value : null;
+  const isAnomaly = detectAnomaly(
+    peopleEmployedValue || predictedEmployment || 0,
+    historicalEmployed
+  );
+
+  const periodKey = timeWindow.entry ? timeWindow.entry.period.key : null;
+  const historySeries = districtData.syntheticHistory
+    ? null
+    : timeWindow.custom
+    ? timeWindow.series
+    : (districtData.history || []).slice(-historicalEmployed.length);
+  const provenance = {
+    workAvailability: {
+      ...describeValueProvenance(raw, null, periodKey),
+      derivedFrom: "work_availability_score",
+      fields: [
+        ...new Set(
+          Object.values(CONFIG.WORK_AVAILABILITY.components).flatMap(
+            (component) =>
+              [component.numerator, component.denominator].filter(Boolean)
+          )
+        ),
+      ],
+    },
+    paymentSpeed: describeValueProvenance(
+      raw,
+      CONFIG.MAPPINGS.paymentSpeedValue,
+      periodKey,
+      paymentSpeedValue === 0 && predictedPaymentSpeed
+        ? { model: "multinomial_logistic_regression" }
+        : null
+    ),
+    peopleEmployed: describeValueProvenance(
+      raw,
+      CONFIG.MAPPINGS.peopleEmployed,
+      periodKey,
+      peopleEmployedValue === 0 && predictedEmployment
+        ? { model: "linear_regression" }
+        : null
+    ),
+    stateComparison: {
+      ...describeValueProvenance(
+        raw,
+        CONFIG.MAPPINGS.stateComparisonValue,
+        periodKey
+      ),
+      derivedFrom: "state_aggregates",
+    },
+    historicalEmployed: historicalEmployed.map((value, i) =>
+      historySeries
+        ? describeValueProvenance(
+            historySeries[i].row,
+            CONFIG.MAPPINGS.historicalEmployed,
+            historySeries[i].period.key
+          )
+        : {
+            ...getRowSource(raw),
+            field: CONFIG.MAPPINGS.historicalEmployed,
+            month: null,
+            imputed: false,
+            model: null,
+            synthetic: true,
+          }
+    ),
+    mlInsights: {
+      source: "model",
+      models: {
+        predictedEmployment: "linear_regression",
+        predictedPaymentSpeed: "multinomial_logistic_regression",
+        forecast: forecast ? forecast.method : null,
+        isAnomaly: "z_score_detection",
+      },
+      synthetic: Boolean(districtData.syntheticHistory),
+    },
+  };
+
+  const transformed = {
+    workAvailability: workAvailabilityBand
+      ? rules.workAvailability.labels[workAvailabilityBand]
+      : "Data Not Available",
+    workAvailabilityColor: workAvailabilityBand
+      ? rules.workAvailability.colors[workAvailabilityBand]
+      : "gray",
+    workAvailabilityScore,
+    paymentSpeed:
+      paymentSpeedValue > 0
+        ? rules.paymentSpeed.labels[
+            paymentSpeedValue > rules.paymentSpeed.thresholds.good
+              ? "good"
+              : paymentSpeedValue > rules.paymentSpeed.thresholds.okay
+              ? "okay"
+              : "bad"
+          ]
+        : predictedPaymentSpeed || "Data Not Available",
+    paymentSpeedColor:
+      paymentSpeedValue > 0
+        ? rules.paymentSpeed.colors[
+            paymentSpeedValue > rules.paymentSpeed.thresholds.good
+              ? "good"
+              : paymentSpeedValue > rules.paymentSpeed.thresholds.okay
+              ? "okay"
+              : "bad"
+          ]
+        : predictedPaymentSpeed
+        ? "blue"
+        : "gray",
+    peopleEmployed:
+      peopleEmployedValue > 0
+        ? rules.peopleEmployed(peopleEmployedValue)
+        : predictedEmployment
+        ? rules.peopleEmployed(predictedEmployment) + " (Predicted)"
+        : "Data Not Available",
+    stateComparison: stateComparisonBand
+      ? rules.stateComparison.labels[stateComparisonBand]
+      : "Data Not Available",
+    stateComparisonColor: stateComparisonBand
+      ? rules.stateComparison.colors[stateComparisonBand]
+      : "gray",
+    stateComparisonDetail,
+    analysisRules: rules.applied,
+    historicalEmployed: historicalEmployed,
+    historicalPeriods,
+    month: timeWindow.entry ? timeWindow.entry.period.key : null,
+    finYear: timeWindow.entry ? timeWindow.entry.period.finYear : null,
+    availableMonths: (districtData.history || []).map(
+      (entry) => entry.period.key
+    ),
+    mlInsights: {
+      predictedEmployment: predictedEmployment,
+      predictedPaymentSpeed: predictedPaymentSpeed,
+      forecastedEmployment: forecastedEmployment,
+      forecast: forecast
+        ? {
+            ...forecast,
+            forecasts: labelForecastPeriods(
+              forecast.forecasts,
+              historicalPeriods[historicalPeriods.length - 1]
+            ),
+          }
+        : null,
+      isAnomaly: isAnomaly,
+      anomalyAlert: isAnomaly ? "Unusual district performance detected" : null,
+    },
+    provenance,
+    helpText: {
+      workAvailability:
+        "This shows if enough work is being created for eligible applicants in the district, scored from 0 to 100 on the share of workers and job cards that got work, days per household against the 100-day guarantee, and households completing 100 days.",
+      paymentSpeed:
+        "This indicates how quickly payments are processed and disbursed to workers.",
+      peopleEmployed:
+        "Number of people employed under MGNREGA in the district.",
+      stateComparison:
+        "Comparison of district performance against the other districts of the state in the same month.",
+      historicalEmployed:
+        "Employment trend over the selected months (the last 6 months by default).",
+      mlInsights:
+        "Machine learning predictions and insights for missing data and trends.",
+    },
+  };
+
+  return transformed;
+}
+
+// Where a served value came from: the loaded row's source, file and row
+// number, its month, and whether it was imputed by an ML model because the
+// reported value was missing. Sample rows are flagged as synthetic.
+function describeValueProvenance(row, field, month, imputation = null) {
+  const source = getRowSource(row);
+  return {
+    ...source,
+    field,
+    month,
+    imputed: Boolean(imputation),
+    model: imputation ? imputation.model : null,
+    synthetic: source.source === "sample",
+  };
+}
+
+// Protected endpoint to fetch district data
+app.get(
+  "/api/data/:districtId",
+  verifyToken,
+  authorize("data:read"),
+  authorizeDistrict,
+  (req, res) => {
+    try {
+      const districtId = resolveDistrictId(req.params.districtId);
+      const districtData = districtId && csvData[districtId];
+      if (!districtData)
+        return res.status(404).json({ error: "District not found." });
+
+      const timeWindow = selectTimeWindow(districtData, req.query);
+      if (timeWindow.error)
+        return res.status(timeWindow.status).json({ error: timeWindow.error });
+
+      res.json(buildDistrictPayload(districtData, timeWindow));
+    } catch (error) {
+      logDataQuality(
+        `Error fetching data for district ${req.params.districtId}: ${error.message}`,
+        "error"
+      );
+      res.status(500).json({ error: "Failed to fetch data." });
+    }
+  }
+);
+
+// Picks the history entry for a YYYY-MM period, or the latest when omitted
+function findHistoryEntry(districtData, periodKey) {
+  const history = districtData.history || [];
+  if (!periodKey) return history[history.length - 1] || null;
+  return history.find((entry) => entry.period.key === periodKey) || null;
+}
+
+// Resolves ?month=, ?from=&to= and ?finYear= into the entry used for card
+// values and the entries of the historical series. Without a range the
+// series is the defaultLength months up to the selected month.
+function selectTimeWindow(districtData, query, defaultLength = 6) {
+  const history = districtData.history || [];
+  const params = {};
+  for (const name of ["month", "from", "to"]) {
+    if (!query[name]) continue;
+    const period = parsePeriod(null, query[name]);
+    if (!period)
+      return {
+        status: 400,
+        error: `Invalid ${name}. Expected format YYYY-MM.`,
+      };
+    params[name] = period.key;
+  }
+  if (query.finYear) {
+    const startYear = parseFinYearStart(query.finYear);
+    if (!startYear)
+      return {
+        status: 400,
+        error: "Invalid finYear. Expected format YYYY-YYYY.",
+      };
+    params.finYear = `${startYear}-${startYear + 1}`;
+  }
+  if (params.from && params.to && params.from > params.to)
+    return { status: 400, error: "from must not be after to." };
+
+  const hasRange = Boolean(params.from || params.to || params.finYear);
+  let series = history.filter(
+    (entry) =>
+      (!params.from || entry.period.key >= params.from) &&
+      (!params.to || entry.period.key <= params.to) &&
+      (!params.finYear || entry.period.finYear === params.finYear)
+  );
+
+  let entry;
+  if (params.month) {
+    entry = history.find((item) => item.period.key === params.month);
+    if (!entry)
+      return { status: 404, error: "No data for this district and month." };
+    if (!hasRange) {
+      series = series
+        .filter((item) => item.period.key <= params.month)
+        .slice(-defaultLength);
+    }
+  } else {
+    entry = series[series.length - 1];
+    if (!hasRange) series = series.slice(-defaultLength);
+  }
+
+  if (hasRange && series.length === 0)
+    return { status: 404, error: "No data for the selected period." };
+
+  return {
+    entry: entry || null,
+    series,
+    custom: Boolean(params.month) || hasRange,
+  };
+}
+
+// Parses a comma-separated ?ids= list against the metric registry
+function parseMetricIds(idsParam) {
+  if (!isValidString(idsParam)) {
+    return { metrics: METRIC_REGISTRY, unknown: [] };
+  }
+  const ids = idsParam
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id !== "");
+  return {
+    metrics: ids
+      .filter((id) => METRICS_BY_ID[id])
+      .map((id) => METRICS_BY_ID[id]),
+    unknown: ids.filter((id) => !METRICS_BY_ID[id]),
+  };
+}
+
+// Protected endpoint to list every registered metric
+app.get("/api/metrics", verifyToken, authorize("data:read"), (req, res) => {
+  try {
+    res.json(METRIC_REGISTRY.map(describeMetric));
+  } catch (error) {
+    logDataQuality(`Error fetching metrics: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to fetch metrics." });
+  }
+});
+
+// Protected endpoint to fetch any registered metrics for a district and month
+app.get(
+  "/api/data/:districtId/metrics",
+  verifyToken,
+  authorize("data:read"),
+  authorizeDistrict,
+  (req, res) => {
+    try {
+      const districtId = resolveDistrictId(req.params.districtId);
+      const districtData = districtId && csvData[districtId];
+      if (!districtData)
+        return res.status(404).json({ error: "District not found." });
+
+      const { metrics, unknown } = parseMetricIds(req.query.ids);
+      if (unknown.length > 0)
+        return res
+          .status(400)
+          .json({ error: `Unknown metric ids: ${unknown.join(", ")}` });
+
+      let periodKey = null;
+      if (req.query.month) {
+        const period = parsePeriod(null, req.query.month);
+        if (!period)
+          return res
+            .status(400)
+            .json({ error: "Invalid month. Expected format YYYY-MM." });
+        periodKey = period.key;
+      }
+
+      const entry = findHistoryEntry(districtData, periodKey);
+      if (!entry)
+        return res
+          .status(404)
+          .json({ error: "No data for this district and month." });
+
+      const values = {};
+      metrics.forEach((metric) => {
+        const value = getMetricValue(entry.row, metric);
+        values[metric.id] = {
+          value,
+          formatted: formatMetricValue(metric, value),
+          unit: metric.unit,
+          direction: metric.direction,
+          state: compareToState(districtData.raw, entry, metric),
+        };
+      });
+
+      res.json({
+        districtId,
+        districtName: entry.row[CONFIG.MAPPINGS.districtName] || districtId,
+        month: entry.period.key,
+        finYear: entry.period.finYear,
+        metrics: values,
+      });
+    } catch (error) {
+      logDataQuality(
+        `Error fetching metrics for district ${req.params.districtId}: ${error.message}`,
+        "error"
+      );
+      res.status(500).json({ error: "Failed to fetch metrics." });
+    }
+  }
+);
+
+// Upper bound on districts per comparison, to keep the chart readable
+const MAX_COMPARE_DISTRICTS = 10;
+
+// Protected endpoint to compare districts side by side
+app.get("/api/compare", verifyToken, authorize("data:read"), (req, res) => {
+  try {
+    const requested = (req.query.districts || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter((id) => id !== "");
+    if (requested.length < 2)
+      return res
+        .status(400)
+        .json({ error: "Provide at least two district ids in districts." });
+    if (requested.length > MAX_COMPARE_DISTRICTS)
+      return res.status(400).json({
+        error: `At most ${MAX_COMPARE_DISTRICTS} districts can be compared.`,
+      });
+
+    const districtIds = requested.map(resolveDistrictId);
+    const unknownDistricts = requested.filter((id, i) => !districtIds[i]);
+    if (unknownDistricts.length > 0)
+      return res.status(404).json({
+        error: `Districts not found: ${unknownDistricts.join(", ")}`,
+      });
+    if (districtIds.some((id) => !canAccessDistrict(req.user, id)))
+      return res
+        .status(403)
+        .json({ error: "Access to one of these districts is not permitted." });
+
+    const { metrics, unknown } = parseMetricIds(
+      req.query.metrics ||
+        [
+          CONFIG.MAPPINGS.peopleEmployed,
+          CONFIG.MAPPINGS.paymentSpeedValue,
+        ].join(",")
+    );
+    if (unknown.length > 0)
+      return res
+        .status(400)
+        .json({ error: `Unknown metric ids: ${unknown.join(", ")}` });
+
+    // Default to every month; month/from/to/finYear narrow it as in /api/data
+    const windows = [];
+    for (const districtId of districtIds) {
+      const timeWindow = selectTimeWindow(
+        csvData[districtId],
+        req.query,
+        Infinity
+      );
+      if (timeWindow.error)
+        return res.status(timeWindow.status).json({
+          error: `${districtId}: ${timeWindow.error}`,
+        });
+      windows.push(timeWindow);
+    }
+
+    // Align every district on the union of their months
+    const periods = Array.from(
+      new Set(
+        windows.flatMap((timeWindow) =>
+          timeWindow.series.map((entry) => entry.period.key)
+        )
+      )
+    ).sort();
+
+    const districts = districtIds.map((districtId, i) => {
+      const districtData = csvData[districtId];
+      const byPeriod = {};
+      windows[i].series.forEach((entry) => {
+        byPeriod[entry.period.key] = entry;
+      });
+
+      const series = {};
+      metrics.forEach((metric) => {
+        series[metric.id] = periods.map((periodKey) =>
+          byPeriod[periodKey]
+            ? getMetricValue(byPeriod[periodKey].row, metric)
+            : null
+        );
+      });
+
+      const payload = buildDistrictPayload(districtData, windows[i]);
+      return {
+        id: districtId,
+        name: districtData.raw[CONFIG.MAPPINGS.districtName] || districtId,
+        stateCode: getDistrictState(districtData.raw),
+        month: payload.month,
+        series,
+        labels: {
+          workAvailability: payload.workAvailability,
+          workAvailabilityColor: payload.workAvailabilityColor,
+          paymentSpeed: payload.paymentSpeed,
+          paymentSpeedColor: payload.paymentSpeedColor,
+          peopleEmployed: payload.peopleEmployed,
+          stateComparison: payload.stateComparison,
+          stateComparisonColor: payload.stateComparisonColor,
+        },
+      };
+    });
+
+    res.json({
+      periods,
+      metrics: metrics.map(describeMetric),
+      districts,
+    });
+  } catch (error) {
+    logDataQuality(`Error comparing districts: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to compare districts." });
+  }
+});
+
+// Latest month with data for any district in scope (all states if omitted)
+function latestPeriodKey(stateCode) {
+  return listDistricts(stateCode)
+    .map((district) => findHistoryEntry(csvData[district.id]))
+    .filter(Boolean)
+    .map((entry) => entry.period.key)
+    .sort()
+    .pop();
+}
+
+// Ranks districts on one metric for a month. Districts whose value is
+// missing or not numeric are returned in `missing` rather than ranked as 0.
+// Ties share a rank ("1, 2, 2, 4").
+function rankDistricts(metric, periodKey, { stateCode, order } = {}) {
+  const ranked = [];
+  const missing = [];
+
+  Object.keys(csvData).forEach((districtId) => {
+    const districtData = csvData[districtId];
+    if (stateCode && getDistrictState(districtData.raw) !== stateCode) return;
+
+    const entry = findHistoryEntry(districtData, periodKey);
+    const district = {
+      districtId,
+      name: districtData.raw[CONFIG.MAPPINGS.districtName] || districtId,
+      stateCode: getDistrictState(districtData.raw),
+    };
+    if (!entry) {
+      missing.push({ ...district, reason: "No data for this month" });
+      return;
+    }
+    const value = readNumeric(entry.row[metric.column]);
+    if (value === null) {
+      missing.push({ ...district, reason: "Value missing or not numeric" });
+      return;
+    }
+    ranked.push({ ...district, value });
+  });
+
+  ranked.sort((a, b) =>
+    order === "asc" ? a.value - b.value : b.value - a.value
+  );
+  ranked.forEach((item, i) => {
+    item.rank =
+      i > 0 && item.value === ranked[i - 1].value ? ranked[i - 1].rank : i + 1;
+  });
+
+  return { ranked, missing };
+}
+
+// Protected endpoint to rank districts on any registered metric
+app.get("/api/rankings", verifyToken, authorize("data:read"), (req, res) => {
+  try {
+    const metric = METRICS_BY_ID[req.query.metric];
+    if (!metric)
+      return res.status(400).json({
+        error: "Unknown or missing metric. See /api/metrics for ids.",
+      });
+
+    const order =
+      req.query.order || (metric.direction === "lower" ? "asc" : "desc");
+    if (order !== "asc" && order !== "desc")
+      return res.status(400).json({ error: "order must be asc or desc." });
+
+    let limit = null;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1)
+        return res
+          .status(400)
+          .json({ error: "limit must be a positive integer." });
+    }
+
+    const stateCode = req.query.state || null;
+    let periodKey;
+    if (req.query.month) {
+      const period = parsePeriod(null, req.query.month);
+      if (!period)
+        return res
+          .status(400)
+          .json({ error: "Invalid month. Expected format YYYY-MM." });
+      periodKey = period.key;
+    } else {
+      periodKey = latestPeriodKey(stateCode);
+      if (!periodKey)
+        return res.status(404).json({ error: "No data to rank." });
+    }
+
+    const previousMonth = previousPeriodKey(periodKey);
+    const current = rankDistricts(metric, periodKey, { stateCode, order });
+    const previous = rankDistricts(metric, previousMonth, {
+      stateCode,
+      order,
+    });
+    const previousRanks = {};
+    previous.ranked.forEach((item) => {
+      previousRanks[item.districtId] = item.rank;
+    });
+
+    // District officers see their own districts' positions in the full table
+    const visible = (item) => canAccessDistrict(req.user, item.districtId);
+    const rankings = current.ranked.filter(visible).map((item) => {
+      const previousRank = previousRanks[item.districtId] || null;
+      return {
+        ...item,
+        formatted: formatMetricValue(metric, item.value),
+        previousRank,
+        // Positive when the district moved up the table
+        movement: previousRank ? previousRank - item.rank : null,
+      };
+    });
+
+    res.json({
+      metric: describeMetric(metric),
+      month: periodKey,
+      previousMonth,
+      order,
+      state: stateCode,
+      totalRanked: current.ranked.length,
+      rankings: limit ? rankings.slice(0, limit) : rankings,
+      missing: current.missing.filter(visible),
+    });
+  } catch (error) {
+    logDataQuality(`Error ranking districts: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to rank districts." });
+  }
+});
+
+// Performance Index
+const INDEX_NORMALISATIONS = ["minmax", "zscore"];
+
+// Scales one component's values across a state. minmax maps the state's
+// range to 0-100 (50 when every district is equal); zscore gives standard
+// deviations from the state mean (0 when there is no spread).
+function normaliseComponent(value, values, normalisation) {
+  if (normalisation === "zscore") {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const sd = Math.sqrt(
+      values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length
+    );
+    return sd > 0 ? (value - mean) / sd : 0;
+  }
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return max > min ? ((value - min) / (max - min)) * 100 : 50;
+}
+
+function roundIndexValue(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// Index of every district for a month, normalised within each state.
+// Returns { districts: { districtId: { score, components } }, missing }.
+// Components a district does not report are left out and the remaining
+// weights rescaled.
+function computePerformanceIndex(periodKey, normalisation) {
+  const components = Object.entries(CONFIG.PERFORMANCE_INDEX.components);
+  const rows = {};
+  const valuesByState = {};
+  const missing = [];
+
+  Object.keys(csvData).forEach((districtId) => {
+    const districtData = csvData[districtId];
+    const stateCode = getDistrictState(districtData.raw);
+    const entry = findHistoryEntry(districtData, periodKey);
+    if (!entry) {
+      missing.push({ districtId, stateCode, reason: "No data for this month" });
+      return;
+    }
+    const values = {};
+    components.forEach(([id, component]) => {
+      values[id] = readComponentRatio(entry.row, component);
+      if (values[id] === null) return;
+      valuesByState[stateCode] = valuesByState[stateCode] || {};
+      (valuesByState[stateCode][id] = valuesByState[stateCode][id] || []).push(
+        values[id]
+      );
+    });
+    rows[districtId] = { stateCode, values };
+  });
+
+  const districts = {};
+  Object.entries(rows).forEach(([districtId, { stateCode, values }]) => {
+    const breakdown = components.map(([id, component]) => ({
+      id,
+      label: component.label,
+      value: values[id],
+      normalised:
+        values[id] === null
+          ? null
+          : normaliseComponent(
+              values[id],
+              valuesByState[stateCode][id],
+              normalisation
+            ),
+      weight: component.weight,
+    }));
+    const totalWeight = breakdown
+      .filter((component) => component.value !== null)
+      .reduce((sum, component) => sum + component.weight, 0);
+    if (totalWeight <= 0) {
+      missing.push({
+        districtId,
+        stateCode,
+        reason: "No index components reported",
+      });
+      return;
+    }
+    let score = 0;
+    breakdown.forEach((component) => {
+      component.contribution =
+        component.value === null
+          ? null
+          : (component.normalised * component.weight) / totalWeight;
+      score += component.contribution || 0;
+    });
+    districts[districtId] = { stateCode, score, components: breakdown };
+  });
+
+  return { districts, missing };
+}
+
+// Ranks the indexed districts within their state, optionally for one state
+// only. Scores are normalised per state, so they are never ranked across
+// states: the list is ordered by state, then by rank.
+function rankPerformanceIndex(index, stateCode) {
+  const ranked = Object.entries(index.districts)
+    .filter(([, result]) => !stateCode || result.stateCode === stateCode)
+    .map(([districtId, result]) => ({ districtId, ...result }))
+    .sort(
+      (a, b) => a.stateCode.localeCompare(b.stateCode) || b.score - a.score
+    );
+  let position = 0;
+  ranked.forEach((item, i) => {
+    const previous = ranked[i - 1];
+    const sameState = previous && previous.stateCode === item.stateCode;
+    position = sameState ? position + 1 : 1;
+    item.rank =
+      sameState && item.score === previous.score ? previous.rank : position;
+  });
+  return ranked;
+}
+
+// Reads ?month= and ?normalisation=; returns { error } or the resolved
+// { periodKey, previousMonth, normalisation }
+function parseIndexQuery(query, stateCode) {
+  const normalisation =
+    query.normalisation || CONFIG.PERFORMANCE_INDEX.normalisation;
+  if (!INDEX_NORMALISATIONS.includes(normalisation))
+    return {
+      error: `normalisation must be one of ${INDEX_NORMALISATIONS.join(", ")}.`,
+    };
+  let periodKey;
+  if (query.month) {
+    const period = parsePeriod(null, query.month);
+    if (!period) return { error: "Invalid month. Expected format YYYY-MM." };
+    periodKey = period.key;
+  } else {
+    periodKey = latestPeriodKey(stateCode);
+  }
+  return {
+    periodKey,
+    previousMonth: periodKey ? previousPeriodKey(periodKey) : null,
+    normalisation,
+  };
+}
+
+function describeIndexComponents() {
+  return Object.entries(CONFIG.PERFORMANCE_INDEX.components).map(
+    ([id, component]) => ({ id, ...component })
+  );
+}
+
+// Protected endpoint ranking districts on the composite performance index
+app.get("/api/index", verifyToken, authorize("data:read"), (req, res) => {
+  try {
+    const stateCode = req.query.state || null;
+    const query = parseIndexQuery(req.query, stateCode);
+    if (query.error) return res.status(400).json({ error: query.error });
+    if (!query.periodKey)
+      return res.status(404).json({ error: "No data to index." });
+
+    let limit = null;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1)
+        return res
+          .status(400)
+          .json({ error: "limit must be a positive integer." });
+    }
+
+    const current = computePerformanceIndex(
+      query.periodKey,
+      query.normalisation
+    );
+    const previous = computePerformanceIndex(
+      query.previousMonth,
+      query.normalisation
+    );
+    const ranked = rankPerformanceIndex(current, stateCode);
+    const previousRanks = {};
+    rankPerformanceIndex(previous, stateCode).forEach((item) => {
+      previousRanks[item.districtId] = item.rank;
+    });
+
+    // District officers see their own districts' positions in the full table
+    const visible = (item) => canAccessDistrict(req.user, item.districtId);
+    const index = ranked.filter(visible).map((item) => {
+      const previousResult = previous.districts[item.districtId];
+      const previousScore = previousResult ? previousResult.score : null;
+      return {
+        districtId: item.districtId,
+        name:
+          csvData[item.districtId].raw[CONFIG.MAPPINGS.districtName] ||
+          item.districtId,
+        stateCode: item.stateCode,
+        rank: item.rank,
+        score: roundIndexValue(item.score),
+        previousScore: roundIndexValue(previousScore),
+        change:
+          previousScore === null
+            ? null
+            : roundIndexValue(item.score - previousScore),
+        previousRank: previousRanks[item.districtId] || null,
+      };
+    });
+
+    // limit applies per state, as every state has its own ranking
+    const shownPerState = {};
+    const limited = index.filter((item) => {
+      shownPerState[item.stateCode] = (shownPerState[item.stateCode] || 0) + 1;
+      return !limit || shownPerState[item.stateCode] <= limit;
+    });
+
+    res.json({
+      month: query.periodKey,
+      previousMonth: query.previousMonth,
+      state: stateCode,
+      normalisation: query.normalisation,
+      rankedWithin: "state",
+      components: describeIndexComponents(),
+      totalRanked: ranked.length,
+      index: limited,
+      missing: current.missing
+        .filter((item) => !stateCode || item.stateCode === stateCode)
+        .filter(visible),
+    });
+  } catch (error) {
+    logDataQuality(
+      `Error computing performance index: ${error.message}`,
+      "error"
+    );
+    res.status(500).json({ error: "Failed to compute performance index." });
+  }
+});
+
+// Protected endpoint breaking down one district's performance index
+app.get(
+  "/api/index/:districtId",
+  verifyToken,
+  authorize("data:read"),
+  authorizeDistrict,
+  (req, res) => {
+    try {
+      const districtId = resolveDistrictId(req.params.districtId);
+      const districtData = districtId && csvData[districtId];
+      if (!districtData)
+        return res.status(404).json({ error: "District not found." });
+
+      const stateCode = getDistrictState(districtData.raw);
+      const query = parseIndexQuery(req.query, stateCode);
+      if (query.error) return res.status(400).json({ error: query.error });
+      if (!req.query.month) {
+        const latest = findHistoryEntry(districtData);
+        query.periodKey = latest ? latest.period.key : null;
+        query.previousMonth = query.periodKey
+          ? previousPeriodKey(query.periodKey)
+          : null;
+      }
+
+      const current = computePerformanceIndex(
+        query.periodKey,
+        query.normalisation
+      );
+      const result = current.districts[districtId];
+      if (!result)
+        return res.status(404).json({
+          error: "No index for this district and month.",
+        });
+      const previous = computePerformanceIndex(
+        query.previousMonth,
+        query.normalisation
+      );
+      const previousResult = previous.districts[districtId] || null;
+      const ranked = rankPerformanceIndex(current, stateCode);
+
+      res.json({
+        districtId,
+        name: districtData.raw[CONFIG.MAPPINGS.districtName] || districtId,
+        stateCode,
+        month: query.periodKey,
+        previousMonth: query.previousMonth,
+        normalisation: query.normalisation,
+        score: roundIndexValue(result.score),
+        previousScore: previousResult
+          ? roundIndexValue(previousResult.score)
+          : null,
+        change: previousResult
+          ? roundIndexValue(result.score - previousResult.score)
+          : null,
+        stateRank: ranked.find((item) => item.districtId === districtId).rank,
+        stateDistrictCount: ranked.length,
+        components: result.components.map((component, i) => {
+          const before = previousResult ? previousResult.components[i] : null;
+          return {
+            ...component,
+            normalised: roundIndexValue(component.normalised),
+            contribution: roundIndexValue(component.contribution),
+            previous: before
+              ? {
+                  value: before.value,
+                  normalised: roundIndexValue(before.normalised),
+                  contribution: roundIndexValue(before.contribution),
+                }
+              : null,
+            // Month-over-month change in the component's contribution
+            change:
+              before &&
+              component.contribution !== null &&
+              before.contribution !== null
+                ? roundIndexValue(component.contribution - before.contribution)
+                : null,
+          };
+        }),
+      });
+    } catch (error) {
+      logDataQuality(
+        `Error fetching district performance index: ${error.message}`,
+        "error"
+      );
+      res
+        .status(500)
+        .json({ error: "Failed to fetch district performance index." });
+    }
+  }
+);
+
+// Social Inclusion
+// Share of a row's work going to one group, in percent
+function readInclusionShare(row, measure) {
+  const ratio = readComponentRatio(row, measure);
+  return ratio === null ? null : ratio * 100;
+}
+
+function roundShare(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// Mean share across the districts of a state for one month
+function stateInclusionAverage(stateCode, periodKey, measure) {
+  const values = listDistricts(stateCode)
+    .map((district) => findHistoryEntry(csvData[district.id], periodKey))
+    .filter(Boolean)
+    .map((entry) => readInclusionShare(entry.row, measure))
+    .filter((value) => value !== null);
+  return values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+}
+
+// Rising, falling or flat, from the least-squares slope of the series in
+// percentage points per month
+function describeInclusionTrend(series) {
+  const points = series
+    .map((value, i) => ({ x: i, y: value }))
+    .filter((point) => point.y !== null);
+  if (points.length < 2) return { direction: null, slopePerMonth: null };
+  const { slope } = simpleLinearRegression(
+    points.map((point) => point.x),
+    points.map((point) => point.y)
+  );
+  const tolerance = CONFIG.INCLUSION.trendTolerance;
+  return {
+    direction:
+      slope > tolerance ? "rising" : slope < -tolerance ? "falling" : "flat",
+    slopePerMonth: roundShare(slope),
+  };
+}
+
+// Inclusion shares of one district over a window chosen by
+// selectTimeWindow, with trends and the measures below their targets
+function buildInclusionReport(districtId, districtData, timeWindow) {
+  const stateCode = getDistrictState(districtData.raw);
+  const periodKey = timeWindow.entry.period.key;
+  const previousEntry = findHistoryEntry(
+    districtData,
+    previousPeriodKey(periodKey)
+  );
+  const measures = CONFIG.INCLUSION.measures;
+
+  const current = {};
+  Object.entries(measures).forEach(([id, measure]) => {
+    current[id] = readInclusionShare(timeWindow.entry.row, measure);
+  });
+
+  const flags = [];
+  const report = Object.entries(measures).map(([id, measure]) => {
+    const series = timeWindow.series.map((entry) =>
+      readInclusionShare(entry.row, measure)
+    );
+    const previous = previousEntry
+      ? readInclusionShare(previousEntry.row, measure)
+      : null;
+    const target =
+      measure.target !== undefined
+        ? measure.target
+        : measure.benchmark
+        ? current[measure.benchmark]
+        : null;
+    const shortfall =
+      target !== null && current[id] !== null ? target - current[id] : null;
+    const belowTarget =
+      shortfall === null ? null : shortfall > (measure.tolerance || 0);
+
+    if (belowTarget) {
+      const reference = measure.benchmark
+        ? `${measures[measure.benchmark].label} (${roundShare(target)}%)`
+        : `the target of ${roundShare(target)}%`;
+      flags.push({
+        measure: id,
+        label: measure.label,
+        shortfall: roundShare(shortfall),
+        message: `${measure.label} is ${roundShare(
+          current[id]
+        )}%, below ${reference}.`,
+      });
+    }
+
+    return {
+      id,
+      label: measure.label,
+      unit: "percent",
+      current: roundShare(current[id]),
+      previous: roundShare(previous),
+      change:
+        current[id] !== null && previous !== null
+          ? roundShare(current[id] - previous)
+          : null,
+      target: roundShare(target),
+      targetType:
+        measure.target !== undefined
+          ? "fixed"
+          : measure.benchmark
+          ? "benchmark"
+          : null,
+      benchmark: measure.benchmark || null,
+      belowTarget,
+      shortfall: roundShare(shortfall),
+      stateAverage: roundShare(
+        stateInclusionAverage(stateCode, periodKey, measure)
+      ),
+      trend: describeInclusionTrend(series),
+      series: series.map(roundShare),
+    };
+  });
+
+  return {
+    districtId,
+    name: districtData.raw[CONFIG.MAPPINGS.districtName] || districtId,
+    stateCode,
+    month: periodKey,
+    previousMonth: previousEntry ? previousEntry.period.key : null,
+    periods: timeWindow.series.map((entry) => entry.period.key),
+    measures: report,
+    flags,
+  };
+}
+
+// Protected endpoint for women, SC/ST and differently-abled participation
+app.get(
+  "/api/inclusion/:districtId",
+  verifyToken,
+  authorize("data:read"),
+  authorizeDistrict,
+  (req, res) => {
+    try {
+      const districtId = resolveDistrictId(req.params.districtId);
+      const districtData = districtId && csvData[districtId];
+      if (!districtData)
+        return res.status(404).json({ error: "District not found." });
+
+      const timeWindow = selectTimeWindow(districtData, req.query);
+      if (timeWindow.error)
+        return res.status(timeWindow.status).json({ error: timeWindow.error });
+      if (!timeWindow.entry)
+        return res
+          .status(404)
+          .json({ error: "No monthly data for this district." });
+
+      res.json(buildInclusionReport(districtId, districtData, timeWindow));
+    } catch (error) {
+      logDataQuality(
+        `Error fetching inclusion for district ${req.params.districtId}: ${error.message}`,
+        "error"
+      );
+      res.status(500).json({ error: "Failed to fetch inclusion data." });
+    }
+  }
+);
+
+// Route to handle favicon.ico requests
+app.get("/favicon.ico", (req, res) => {
+  res.status(204).end(); // No Content response to prevent 404
+});
+
+// Secure data-refresh endpoint
+app.post(
+  "/api/data-refresh",
+  verifyToken,
+  authorize("data:manage"),
+  async (req, res) => {
+    try {
+      const joined = Boolean(refreshInFlight);
+      const status = await refreshData("manual");
+      recordAudit(req, "data.refresh", {
+        outcome: status.state === "failed" ? "failure" : "success",
+        target: status.snapshotId ? `snapshot ${status.snapshotId}` : null,
+        details: {
+          joinedInFlightRefresh: joined,
+          reason: status.reason,
+          gateFailures: status.gateFailures,
+        },
+      });
+      if (status.state === "failed")
+        return res.status(status.gateFailures.length > 0 ? 422 : 502).json({
+          error: "Failed to refresh data.",
+          reason: status.reason,
+          gateFailures: status.gateFailures,
+        });
+
+      res.json({
+        message: pinnedSnapshotId
+          ? `Data refreshed as snapshot ${status.snapshotId}; still serving pinned snapshot ${pinnedSnapshotId}`
+          : "Data refreshed successfully",
+        snapshotId: status.snapshotId,
+        joinedInFlightRefresh: joined,
+        timestamp: status.finishedAt,
+      });
+    } catch (error) {
+      logDataQuality(`Error refreshing data: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to refresh data." });
+    }
+  }
+);
+
+// Single-use tickets for opening the event stream. EventSource cannot send
+// headers, and a ticket in the URL keeps the JWT out of access logs.
+const streamTickets = new Map();
+
+// Protected endpoint issuing a stream ticket for the caller's token
+app.post(
+  "/api/events/ticket",
+  verifyToken,
+  authorize("data:read"),
+  (req, res) => {
+    try {
+      const now = Date.now();
+      streamTickets.forEach((ticket, id) => {
+        if (ticket.expiresAt <= now) streamTickets.delete(id);
+      });
+      const id = crypto.randomBytes(24).toString("hex");
+      streamTickets.set(id, {
+        user: req.user,
+        expiresAt: now + CONFIG.TOKENS.streamTicketSeconds * 1000,
+      });
+      res.json({ ticket: id, expiresIn: CONFIG.TOKENS.streamTicketSeconds });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to issue stream ticket." });
+    }
+  }
+);
+
+// Protected event stream, opened with a ?ticket= from /api/events/ticket or
+// an Authorization header
+app.get(
+  "/api/events",
+  (req, res, next) => {
+    if (req.headers["authorization"] || !req.query.ticket)
+      return verifyToken(req, res, next);
+    const id = String(req.query.ticket);
+    const ticket = streamTickets.get(id);
+    streamTickets.delete(id);
+    if (
+      !ticket ||
+      ticket.expiresAt <= Date.now() ||
+      !isStreamTokenValid(ticket.user)
+    )
+      return res
+        .status(401)
+        .json({ error: "Invalid or expired stream ticket." });
+    req.user = ticket.user;
+    next();
+  },
+  authorize("data:read"),
+  (req, res) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(
+      `event: connected\ndata: ${JSON.stringify({
+        snapshotId: activeSnapshotId,
+      })}\n\n`
+    );
+    const client = { res, user: req.user };
+    eventClients.add(client);
+
+    // Comment lines keep proxies from closing an idle stream; the stream
+    // ends once its token expires or is revoked
+    const heartbeat = setInterval(() => {
+      if (!isStreamTokenValid(client.user)) return res.end();
+      res.write(": ping\n\n");
+    }, 25000);
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      eventClients.delete(client);
+    });
+  }
+);
+
+// Protected endpoint reporting the latest refresh
+app.get(
+  "/api/data-refresh/status",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      res.json({
+        ...refreshStatus,
+        inFlight: Boolean(refreshInFlight),
+        gates: CONFIG.REFRESH_GATES,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to fetch refresh status." });
+    }
+  }
+);
+
+// Protected endpoint listing stored dataset snapshots
+app.get(
+  "/api/snapshots",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      res.json({
+        activeSnapshotId,
+        pinnedSnapshotId,
+        snapshots: snapshots.map(describeSnapshot),
+      });
+    } catch (error) {
+      logDataQuality(`Error listing snapshots: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to list snapshots." });
+    }
+  }
+);
+
+// Protected endpoint comparing two snapshots
+app.get(
+  "/api/snapshots/:a/diff/:b",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      const from = findSnapshot(req.params.a);
+      const to = findSnapshot(req.params.b);
+      if (!from || !to)
+        return res.status(404).json({ error: "Snapshot not found." });
+
+      const { metrics, unknown } = parseMetricIds(
+        req.query.metrics ||
+          METRIC_REGISTRY.map((metric) => metric.id).join(",")
+      );
+      if (unknown.length > 0)
+        return res
+          .status(400)
+          .json({ error: `Unknown metrics: ${unknown.join(", ")}` });
+
+      let limit = 500;
+      if (req.query.limit !== undefined) {
+        limit = parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1)
+          return res
+            .status(400)
+            .json({ error: "limit must be a positive integer." });
+      }
+
+      const fromData = readSnapshot(from.id);
+      const toData = readSnapshot(to.id);
+      if (!fromData || !toData)
+        return res.status(500).json({ error: "Failed to read snapshot." });
+
+      const diff = diffSnapshots(fromData, toData, metrics);
+      res.json({
+        from: describeSnapshot(from),
+        to: describeSnapshot(to),
+        summary: {
+          addedDistricts: diff.addedDistricts.length,
+          removedDistricts: diff.removedDistricts.length,
+          addedMonths: diff.addedMonths.length,
+          removedMonths: diff.removedMonths.length,
+          changedValues: diff.changes.length,
+        },
+        ...diff,
+        changes: diff.changes.slice(0, limit),
+        truncated: diff.changes.length > limit,
+      });
+    } catch (error) {
+      logDataQuality(`Error diffing snapshots: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to compare snapshots." });
+    }
+  }
+);
+
+// Protected endpoint pinning the served data to a snapshot
+app.post(
+  "/api/snapshots/:id/pin",
+  verifyToken,
+  authorize("data:manage"),
+  (req, res) => {
+    try {
+      const snapshot = findSnapshot(req.params.id);
+      if (!snapshot)
+        return res.status(404).json({ error: "Snapshot not found." });
+
+      if (!restoreSnapshot(snapshot.id))
+        return res.status(500).json({ error: "Failed to read snapshot." });
+      pinnedSnapshotId = snapshot.id;
+      writeSnapshotFile(PIN_FILE, { snapshotId: snapshot.id });
+      refreshDerivedData();
+      broadcastEvent("dataset-reloaded", {
+        snapshotId: snapshot.id,
+        trigger: "pin",
+        districtCount: Object.keys(csvData).length,
+      });
+      logDataQuality(`Pinned to snapshot ${snapshot.id}`);
+      recordAudit(req, "snapshot.pin", { target: `snapshot ${snapshot.id}` });
+      res.json({
+        message: `Serving snapshot ${snapshot.id}`,
+        snapshot: describeSnapshot(snapshot),
+      });
+    } catch (error) {
+      logDataQuality(`Error pinning snapshot: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to pin snapshot." });
+    }
+  }
+);
+
+// Protected endpoint releasing the pin and serving the newest snapshot
+app.delete(
+  "/api/snapshots/pin",
+  verifyToken,
+  authorize("data:manage"),
+  (req, res) => {
+    try {
+      if (!pinnedSnapshotId)
+        return res.status(409).json({ error: "No snapshot is pinned." });
+
+      const latest = snapshots[snapshots.length - 1];
+      if (!restoreSnapshot(latest.id))
+        return res.status(500).json({ error: "Failed to read snapshot." });
+      pinnedSnapshotId = null;
+      fs.rm(
+        path.join(CONFIG.SNAPSHOTS.directory, PIN_FILE),
+        { force: true },
+        () => {}
+      );
+      refreshDerivedData();
+      broadcastEvent("dataset-reloaded", {
+        snapshotId: latest.id,
+        trigger: "unpin",
+        districtCount: Object.keys(csvData).length,
+      });
+      logDataQuality(`Unpinned, serving snapshot ${latest.id}`);
+      recordAudit(req, "snapshot.unpin", { target: `snapshot ${latest.id}` });
+      res.json({
+        message: `Serving snapshot ${latest.id}`,
+        snapshot: describeSnapshot(latest),
+      });
+    } catch (error) {
+      logDataQuality(`Error unpinning snapshot: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to unpin snapshot." });
+    }
+  }
+);
+
+// ML API endpoints
+app.get(
+  "/api/ml/predict-employment/:districtId",
+  verifyToken,
+  authorize("data:read"),
+  authorizeDistrict,
+  (req, res) => {
+    try {
+      const districtId = resolveDistrictId(req.params.districtId);
+      const districtData = districtId && csvData[districtId];
+      if (!districtData)
+        return res.status(404).json({ error: "District not found." });
+
+      const prediction = predictEmploymentMissing(
+        districtData.historicalEmployed
+      );
+      res.json({
+        districtId,
+        predictedEmployment: prediction,
+        method: "linear_regression",
+        confidence: prediction
+          ? measuredConfidence("linear_regression", districtId)
+          : "low",
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to predict employment." });
+    }
+  }
+);
+
+// Retrains the payment-speed classifier, optionally on other features
+app.post(
+  "/api/ml/classify-payment/train",
+  verifyToken,
+  authorize("ml:train"),
+  (req, res) => {
+    try {
+      if (!CONFIG.ML_FEATURES.enabled || !CONFIG.ML_FEATURES.classification)
+        return res.status(409).json({ error: "Classification is disabled." });
+
+      let featureIds = CONFIG.PAYMENT_CLASSIFIER.features;
+      if (req.body && req.body.features !== undefined) {
+        if (!Array.isArray(req.body.features) || req.body.features.length === 0)
+          return res.status(400).json({
+            error: "features must be a non-empty array of metric ids.",
+          });
+        const { metrics, unknown } = parseMetricIds(
+          req.body.features.join(",")
+        );
+        if (unknown.length > 0)
+          return res
+            .status(400)
+            .json({ error: `Unknown features: ${unknown.join(", ")}` });
+        if (
+          metrics.some(
+            (metric) => metric.id === CONFIG.MAPPINGS.paymentSpeedValue
+          )
+        )
+          return res
+            .status(400)
+            .json({ error: "The payment percentage cannot be a feature." });
+        featureIds = metrics.map((metric) => metric.id);
+      }
+
+      const model = trainPaymentSpeedModel(featureIds);
+      if (!model)
+        return res
+          .status(422)
+          .json({ error: "Not enough labelled data to train the classifier." });
+      CONFIG.PAYMENT_CLASSIFIER.features = featureIds;
+      refreshModelEvaluation();
+      recordAudit(req, "ml.classifier.train", {
+        details: {
+          features: featureIds,
+          trainingAccuracy: model.trainingAccuracy,
+        },
+      });
+
+      res.json({
+        message: "Payment-speed classifier trained",
+        method: "multinomial_logistic_regression",
+        features: model.features,
+        trainedAt: model.trainedAt,
+        trainingSamples: model.trainingSamples,
+        trainingAccuracy: model.trainingAccuracy,
+        featureImportance: model.featureImportance,
+        evaluation: modelEvaluation
+          ? {
+              accuracy:
+                modelEvaluation.models.payment_speed_classifier.accuracy,
+              samples: modelEvaluation.models.payment_speed_classifier.samples,
+            }
+          : null,
+      });
+    } catch (error) {
+      logDataQuality(`Error training classifier: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to train classifier." });
+    }
+  }
+);
+
+app.get(
+  "/api/ml/classify-payment/:districtId",
+  verifyToken,
+  authorize("data:read"),
+  authorizeDistrict,
+  (req, res) => {
+    try {
+      const districtId = resolveDistrictId(req.params.districtId);
+      const districtData = districtId && csvData[districtId];
+      if (!districtData)
+        return res.status(404).json({ error: "District not found." });
+
+      const raw = districtData.raw;
+      const classification = classifyPaymentSpeed(raw);
+      const actualValue = getMetricValue(
+        raw,
+        METRICS_BY_ID[CONFIG.MAPPINGS.paymentSpeedValue]
+      );
+
+      res.json({
+        districtId,
+        predictedPaymentSpeed: classification ? classification.label : null,
+        probabilities: classification ? classification.probabilities : null,
+        actualPaymentSpeed:
+          actualValue !== null ? paymentSpeedCategory(actualValue) : null,
+        method: "multinomial_logistic_regression",
+        features: paymentSpeedModel
+          ? paymentSpeedModel.features.map((id) => ({
+              feature: id,
+              value: getMetricValue(raw, METRICS_BY_ID[id]),
+            }))
+          : [],
+        featureImportance: paymentSpeedModel
+          ? paymentSpeedModel.featureImportance
+          : [],
+        trainedAt: paymentSpeedModel ? paymentSpeedModel.trainedAt : null,
+        confidence: classification
+          ? measuredConfidence("payment_speed_classifier", districtId)
+          : "low",
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to classify payment speed." });
+    }
+  }
+);
+
+// Attaches the YYYY-MM month each forecast step falls on
+function labelForecastPeriods(forecasts, lastPeriodKey) {
+  let periodKey = lastPeriodKey;
+  return forecasts.map((point) => {
+    periodKey = periodKey ? nextPeriodKey(periodKey) : null;
+    return { month: periodKey, ...point };
+  });
+}
+
+app.get(
+  "/api/ml/forecast-employment/:districtId",
+  verifyToken,
+  authorize("data:read"),
+  authorizeDistrict,
+  (req, res) => {
+    try {
+      const districtId = resolveDistrictId(req.params.districtId);
+      const districtData = districtId && csvData[districtId];
+      if (!districtData)
+        return res.status(404).json({ error: "District not found." });
+
+      const horizon =
+        req.query.horizon !== undefined
+          ? parseInt(req.query.horizon, 10)
+          : CONFIG.FORECASTING.defaultHorizon;
+      if (
+        !Number.isInteger(horizon) ||
+        horizon < 1 ||
+        horizon > CONFIG.FORECASTING.maxHorizon
+      )
+        return res.status(400).json({
+          error: `horizon must be an integer between 1 and ${CONFIG.FORECASTING.maxHorizon}.`,
+        });
+
+      // Forecast from the district's full monthly history
+      const history = districtData.history || [];
+      const series =
+        history.length > 1
+          ? history.map((entry) =>
+              parseNumericSafe(entry.row[CONFIG.MAPPINGS.historicalEmployed], 0)
+            )
+          : districtData.historicalEmployed;
+      const lastPeriod =
+        history.length > 1 ? history[history.length - 1].period.key : null;
+
+      const forecast = forecastTimeSeries(
+        series,
+        horizon,
+        history.length > 1 ? history.map((entry) => entry.period.key) : null
+      );
+      res.json({
+        districtId,
+        forecastedEmployment: forecast ? forecast.forecasts[0].value : null,
+        forecasts: forecast
+          ? labelForecastPeriods(forecast.forecasts, lastPeriod)
+          : [],
+        horizon,
+        method: forecast ? forecast.method : null,
+        parameters: forecast ? forecast.parameters : null,
+        residualStdDev: forecast ? forecast.residualStdDev : null,
+        trainingMonths: series.length,
+        confidence: forecast
+          ? measuredConfidence("time_series_forecast", districtId)
+          : "low",
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to forecast employment." });
+    }
+  }
+);
+
+app.get(
+  "/api/ml/detect-anomaly/:districtId",
+  verifyToken,
+  authorize("data:read"),
+  authorizeDistrict,
+  (req, res) => {
+    try {
+      const districtId = resolveDistrictId(req.params.districtId);
+      const districtData = districtId && csvData[districtId];
+      if (!districtData)
+        return res.status(404).json({ error: "District not found." });
+
+      const raw = districtData.raw;
+      const employment = parseNumericSafe(
+        raw[CONFIG.MAPPINGS.peopleEmployed],
+        0
+      );
+      const isAnomaly = detectAnomaly(
+        employment,
+        districtData.historicalEmployed
+      );
+
+      res.json({
+        districtId,
+        isAnomaly,
+        method: "z_score_detection",
+        threshold: `${CONFIG.ANOMALY_DETECTION.zScoreThreshold}_std_deviations`,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to detect anomaly." });
+    }
+  }
+);
+
+function describeAnomaly(metric, finding) {
+  const direction = finding.robustZ > 0 ? "above" : "below";
+  const value = formatMetricValue(metric, finding.value);
+  const baseline = formatMetricValue(metric, finding.baseline.median);
+  if (finding.check === "peer") {
+    return `${metric.label} of ${value} is far ${direction} the state median of ${baseline} across ${finding.baseline.sampleSize} districts`;
+  }
+  return `${metric.label} changed by ${formatMetricValue(
+    metric,
+    finding.value
+  )} from the previous month, far ${direction} the district's typical change of ${baseline}`;
+}
+
+// Scans every district for one month and flags metrics whose value is an
+// outlier among the state's districts (size-independent metrics only) or
+// whose month-over-month change is an outlier against the district's own
+// earlier changes. Both checks use median/MAD so one extreme value cannot
+// mask another.
+function scanAnomalies(periodKey, metrics, { stateCode } = {}) {
+  const rules = CONFIG.ANOMALY_DETECTION;
+  const districts = listDistricts(stateCode);
+
+  // Peer baselines per state and metric
+  const peerBaselines = {};
+  districts.forEach((district) => {
+    const entry = findHistoryEntry(csvData[district.id], periodKey);
+    if (!entry) return;
+    metrics.forEach((metric) => {
+      if (!rules.peerUnits.includes(metric.unit)) return;
+      const value = getMetricValue(entry.row, metric);
+      if (value === null) return;
+      const key = `${district.stateCode}|${metric.id}`;
+      (peerBaselines[key] = peerBaselines[key] || []).push(value);
+    });
+  });
+  Object.keys(peerBaselines).forEach((key) => {
+    const values = peerBaselines[key];
+    peerBaselines[key] =
+      values.length >= rules.minPeers
+        ? { ...medianAbsoluteDeviation(values), sampleSize: values.length }
+        : null;
+  });
+
+  let scanned = 0;
+  const flagged = [];
+  districts.forEach((district) => {
+    const history = csvData[district.id].history || [];
+    const index = history.findIndex((entry) => entry.period.key === periodKey);
+    if (index === -1) return;
+    scanned++;
+    const entry = history[index];
+    const findings = [];
+
+    metrics.forEach((metric) => {
+      const value = getMetricValue(entry.row, metric);
+      if (value === null) return;
+
+      const peers = peerBaselines[`${district.stateCode}|${metric.id}`];
+      const peerZ = robustZScore(value, peers);
+      if (peerZ !== null && Math.abs(peerZ) >= rules.robustThreshold) {
+        findings.push({
+          check: "peer",
+          value,
+          baseline: {
+            type: "state_peers",
+            median: peers.median,
+            mad: peers.mad,
+            sampleSize: peers.sampleSize,
+          },
+          robustZ: peerZ,
+        });
+      }
+
+      // Changes between consecutive months up to and including this one.
+      // Counters restart every April, so changes never span two financial
+      // years.
+      const changes = [];
+      for (let t = 1; t <= index; t++) {
+        if (
+          history[t - 1].period.key !==
+            previousPeriodKey(history[t].period.key) ||
+          history[t - 1].period.finYear !== history[t].period.finYear
+        )
+          continue;
+        const current = getMetricValue(history[t].row, metric);
+        const previous = getMetricValue(history[t - 1].row, metric);
+        if (current === null || previous === null) continue;
+        changes.push({ t, change: current - previous });
+      }
+      const latest = changes.length && changes[changes.length - 1];
+      const prior = changes
+        .filter((item) => item.t < index)
+        .map((item) => item.change);
+      if (latest && latest.t === index && prior.length >= rules.minHistory) {
+        const baseline = medianAbsoluteDeviation(prior);
+        const historyZ = robustZScore(latest.change, baseline);
+        if (historyZ !== null && Math.abs(historyZ) >= rules.robustThreshold) {
+          findings.push({
+            check: "history",
+            value: latest.change,
+            baseline: {
+              type: "own_monthly_change",
+              median: baseline.median,
+              mad: baseline.mad,
+              sampleSize: prior.length,
+            },
+            robustZ: historyZ,
+          });
+        }
+      }
+
+      findings
+        .filter((finding) => !finding.metric)
+        .forEach((finding) => {
+          finding.metric = metric.id;
+          finding.label = metric.label;
+          finding.deviation = finding.value - finding.baseline.median;
+          finding.direction = finding.robustZ > 0 ? "above" : "below";
+          finding.severity =
+            Math.abs(finding.robustZ) >= rules.highSeverityThreshold
+              ? "high"
+              : "medium";
+          finding.explanation = describeAnomaly(metric, finding);
+        });
+    });
+
+    if (findings.length === 0) return;
+    findings.sort((a, b) => Math.abs(b.robustZ) - Math.abs(a.robustZ));
+    flagged.push({
+      districtId: district.id,
+      name: district.name,
+      stateCode: district.stateCode,
+      score: Math.abs(findings[0].robustZ),
+      findings,
+    });
+  });
+
+  flagged.sort((a, b) => b.score - a.score);
+  return { scanned, districts: flagged };
+}
+
+// Protected endpoint listing districts with anomalous indicators for a month
+app.get(
+  "/api/ml/anomalies",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      if (!CONFIG.ML_FEATURES.enabled || !CONFIG.ML_FEATURES.anomalyDetection)
+        return res
+          .status(409)
+          .json({ error: "Anomaly detection is disabled." });
+
+      const { metrics, unknown } = parseMetricIds(
+        req.query.metrics || CONFIG.ANOMALY_DETECTION.defaultMetrics.join(",")
+      );
+      if (unknown.length > 0)
+        return res
+          .status(400)
+          .json({ error: `Unknown metrics: ${unknown.join(", ")}` });
+
+      const stateCode = req.query.state || null;
+      let periodKey;
+      if (req.query.month) {
+        const period = parsePeriod(null, req.query.month);
+        if (!period)
+          return res
+            .status(400)
+            .json({ error: "Invalid month. Expected format YYYY-MM." });
+        periodKey = period.key;
+      } else {
+        periodKey = latestPeriodKey(stateCode);
+        if (!periodKey)
+          return res.status(404).json({ error: "No data to scan." });
+      }
+
+      const result = scanAnomalies(periodKey, metrics, { stateCode });
+      res.json({
+        month: periodKey,
+        state: stateCode,
+        method: "robust_z_score",
+        threshold: CONFIG.ANOMALY_DETECTION.robustThreshold,
+        metrics: metrics.map((metric) => metric.id),
+        districtsScanned: result.scanned,
+        anomalousDistricts: result.districts.length,
+        districts: result.districts,
+      });
+    } catch (error) {
+      logDataQuality(`Error scanning for anomalies: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to scan for anomalies." });
+    }
+  }
+);
+
+app.get(
+  "/api/ml/cluster-districts",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      const { metrics: features, unknown } = parseMetricIds(
+        req.query.features || CONFIG.CLUSTERING.defaultFeatures.join(",")
+      );
+      if (unknown.length > 0)
+        return res
+          .status(400)
+          .json({ error: `Unknown features: ${unknown.join(", ")}` });
+
+      let periodKey = null;
+      if (req.query.month) {
+        const period = parsePeriod(null, req.query.month);
+        if (!period)
+          return res
+            .status(400)
+            .json({ error: "Invalid month. Expected format YYYY-MM." });
+        periodKey = period.key;
+      }
+
+      // Districts missing any feature are left out rather than imputed as 0
+      const districtsData = [];
+      const excluded = [];
+      Object.keys(csvData).forEach((districtId) => {
+        const entry = findHistoryEntry(csvData[districtId], periodKey);
+        const values = entry
+          ? features.map((feature) => getMetricValue(entry.row, feature))
+          : null;
+        if (!values || values.some((value) => value === null)) {
+          excluded.push(districtId);
+          return;
+        }
+        districtsData.push({ id: districtId, values });
+      });
+
+      const k =
+        req.query.k !== undefined
+          ? parseInt(req.query.k, 10)
+          : CONFIG.CLUSTERING.defaultK;
+      const maxK = Math.min(CONFIG.CLUSTERING.maxK, districtsData.length - 1);
+      if (!Number.isInteger(k) || k < 2 || k > maxK)
+        return res.status(400).json({
+          error: `k must be an integer between 2 and ${Math.max(2, maxK)}.`,
+        });
+
+      const result = clusterDistricts(districtsData, k, features);
+      if (!result)
+        return res.json({
+          clusters: {},
+          method: "k_means_plus_plus",
+          k,
+          clusterLabels: {},
+          message: "Clustering is disabled.",
+        });
+
+      res.json({
+        ...result,
+        method: "k_means_plus_plus",
+        k,
+        features: features.map((feature) => feature.id),
+        month: periodKey || "latest",
+        excluded,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to cluster districts." });
+    }
+  }
+);
+
+app.get(
+  "/api/ml/evaluation",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      if (!modelEvaluation)
+        return res
+          .status(404)
+          .json({ error: "No evaluation available. ML may be disabled." });
+      res.json(modelEvaluation);
+    } catch (error) {
+      res.status(500).json({ error: "Failed to fetch model evaluation." });
+    }
+  }
+);
+
+app.get("/api/ml/config", verifyToken, authorize("data:read"), (req, res) => {
+  res.json(CONFIG.ML_FEATURES);
+});
+
+// Admin endpoint switching ML features on or off
+app.put(
+  "/api/ml/config",
+  verifyToken,
+  authorize("config:manage"),
+  (req, res) => {
+    try {
+      const flags = req.body || {};
+      const keys = Object.keys(flags);
+      if (keys.length === 0)
+        return res.status(400).json({ error: "No ML features given." });
+      const unknown = keys.filter((key) => !(key in CONFIG.ML_FEATURES));
+      if (unknown.length > 0)
+        return res
+          .status(400)
+          .json({ error: `Unknown ML features: ${unknown.join(", ")}` });
+      const invalid = keys.filter((key) => typeof flags[key] !== "boolean");
+      if (invalid.length > 0)
+        return res.status(400).json({
+          error: `ML feature flags must be true or false: ${invalid.join(
+            ", "
+          )}`,
+        });
+
+      const before = { ...CONFIG.ML_FEATURES };
+      Object.assign(CONFIG.ML_FEATURES, flags);
+      const version = recordConfigChange(
+        "ml",
+        "default",
+        before,
+        { ...CONFIG.ML_FEATURES },
+        req.user.sub
+      );
+      // The classifier and backtests depend on the flags
+      trainPaymentSpeedModel();
+      refreshModelEvaluation();
+      recordAudit(req, "config.ml.update", {
+        target: `version ${version}`,
+        details: flags,
+      });
+      res.json({ version, mlFeatures: CONFIG.ML_FEATURES });
+    } catch (error) {
+      logDataQuality(`Error updating ML config: ${error.message}`, "error");
+      res.status(500).json({ error: "Failed to update ML config." });
+    }
+  }
+);
+
+// Protected endpoint showing analysis thresholds and their overrides
+app.get(
+  "/api/config/analysis-rules",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      const defaults = {};
+      Object.keys(THRESHOLD_RULES).forEach((rule) => {
+        defaults[rule] = CONFIG.ANALYSIS_RULES[rule].thresholds;
+      });
+      res.json({
+        version: configStore.version,
+        defaults,
+        overrides: configStore.overrides,
+        sizeBands: CONFIG.DISTRICT_SIZE,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to fetch analysis rules." });
+    }
+  }
+);
+
+// Admin endpoint changing analysis thresholds for everyone, a size band or
+// a state. Body: { scope, key, thresholds } where thresholds is partial;
+// thresholds: null removes a size or state override (404 if there is none).
+app.put(
+  "/api/config/analysis-rules",
+  verifyToken,
+  authorize("config:manage"),
+  (req, res) => {
+    try {
+      const { scope = "default", key, thresholds } = req.body || {};
+      const sizeBands = ["small", "medium", "large"];
+      if (!["default", "size", "state"].includes(scope))
+        return res
+          .status(400)
+          .json({ error: "scope must be default, size or state." });
+      if (scope === "size" && !sizeBands.includes(key))
+        return res
+          .status(400)
+          .json({ error: `key must be one of ${sizeBands.join(", ")}.` });
+      if (scope === "state" && !listDistricts(key).length)
+        return res.status(404).json({ error: "State not found." });
+
+      const scopeName = scope === "default" ? "default" : `${scope}:${key}`;
+      const bucket = scope === "size" ? "sizes" : "states";
+      let before;
+      let after;
+
+      if (thresholds === null && scope !== "default") {
+        before = configStore.overrides[bucket][key] || null;
+        if (!before)
+          return res.status(404).json({ error: "Override not found." });
+        delete configStore.overrides[bucket][key];
+        after = null;
+      } else {
+        const error = validateThresholdInput(thresholds);
+        if (error) return res.status(400).json({ error });
+
+        if (scope === "default") {
+          before = {};
+          after = {};
+          const candidate = {};
+          Object.keys(THRESHOLD_RULES).forEach((rule) => {
+            before[rule] = CONFIG.ANALYSIS_RULES[rule].thresholds;
+            after[rule] = { ...before[rule], ...(thresholds[rule] || {}) };
+            candidate[rule] = { thresholds: after[rule] };
+          });
+          const orderError = validateThresholdOrder(candidate);
+          if (orderError) return res.status(400).json({ error: orderError });
+          Object.keys(THRESHOLD_RULES).forEach((rule) => {
+            CONFIG.ANALYSIS_RULES[rule].thresholds = after[rule];
+          });
+        } else {
+          before = configStore.overrides[bucket][key] || null;
+          after = { ...(before || {}) };
+          Object.keys(thresholds).forEach((rule) => {
+            after[rule] = { ...(after[rule] || {}), ...thresholds[rule] };
+          });
+          // The override must make sense on top of the defaults
+          const candidate = {};
+          Object.keys(THRESHOLD_RULES).forEach((rule) => {
+            candidate[rule] = {
+              thresholds: {
+                ...CONFIG.ANALYSIS_RULES[rule].thresholds,
+                ...(after[rule] || {}),
+              },
+            };
+          });
+          const orderError = validateThresholdOrder(candidate);
+          if (orderError) return res.status(400).json({ error: orderError });
+          configStore.overrides[bucket][key] = after;
+        }
+      }
+
+      const version = recordConfigChange(
+        "analysis-rules",
+        scopeName,
+        before,
+        after,
+        req.user.sub
+      );
+      // The classifier is trained on labels from the default payment speed
+      // thresholds
+      if (scope === "default" && thresholds.paymentSpeed) {
+        trainPaymentSpeedModel();
+        refreshModelEvaluation();
+      }
+      recordAudit(req, "config.analysis_rules.update", {
+        target: scopeName,
+        details: { version, thresholds },
+      });
+      res.json({ version, scope: scopeName, thresholds: after });
+    } catch (error) {
+      logDataQuality(
+        `Error updating analysis rules: ${error.message}`,
+        "error"
+      );
+      res.status(500).json({ error: "Failed to update analysis rules." });
+    }
+  }
+);
+
+// Protected endpoint describing the work availability score components
+app.get(
+  "/api/config/work-availability",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      res.json({
+        version: configStore.version,
+        thresholds: CONFIG.ANALYSIS_RULES.workAvailability.thresholds,
+        components: Object.entries(CONFIG.WORK_AVAILABILITY.components).map(
+          ([id, component]) => ({ id, ...component })
+        ),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch work availability config." });
+    }
+  }
+);
+
+// Admin endpoint changing the weights of the work availability score.
+// Body: { weights: { componentId: number } }, partial.
+app.put(
+  "/api/config/work-availability",
+  verifyToken,
+  authorize("config:manage"),
+  (req, res) => {
+    try {
+      const { weights } = req.body || {};
+      const components = CONFIG.WORK_AVAILABILITY.components;
+      const error = validateWeightInput(components, weights);
+      if (error) return res.status(400).json({ error });
+
+      const before = getComponentWeights(components);
+      const after = { ...before, ...weights };
+      Object.entries(after).forEach(([id, weight]) => {
+        components[id].weight = weight;
+      });
+      const version = recordConfigChange(
+        "work-availability",
+        "default",
+        before,
+        after,
+        req.user.sub
+      );
+      recordAudit(req, "config.work_availability.update", {
+        target: `version ${version}`,
+        details: weights,
+      });
+      res.json({ version, weights: after });
+    } catch (error) {
+      logDataQuality(
+        `Error updating work availability weights: ${error.message}`,
+        "error"
+      );
+      res
+        .status(500)
+        .json({ error: "Failed to update work availability weights." });
+    }
+  }
+);
+
+// Protected endpoint describing the performance index components
+app.get(
+  "/api/config/performance-index",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      res.json({
+        version: configStore.version,
+        normalisation: CONFIG.PERFORMANCE_INDEX.normalisation,
+        normalisations: INDEX_NORMALISATIONS,
+        components: describeIndexComponents(),
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch performance index config." });
+    }
+  }
+);
+
+// Admin endpoint changing the default normalisation and the component
+// weights of the performance index. Body: { normalisation, weights }, both
+// optional; weights may be partial.
+app.put(
+  "/api/config/performance-index",
+  verifyToken,
+  authorize("config:manage"),
+  (req, res) => {
+    try {
+      const { normalisation, weights } = req.body || {};
+      const components = CONFIG.PERFORMANCE_INDEX.components;
+      if (normalisation === undefined && weights === undefined)
+        return res
+          .status(400)
+          .json({ error: "Give a normalisation, weights or both." });
+      if (
+        normalisation !== undefined &&
+        !INDEX_NORMALISATIONS.includes(normalisation)
+      )
+        return res.status(400).json({
+          error: `normalisation must be one of ${INDEX_NORMALISATIONS.join(
+            ", "
+          )}.`,
+        });
+      if (weights !== undefined) {
+        const error = validateWeightInput(components, weights);
+        if (error) return res.status(400).json({ error });
+      }
+
+      const before = {
+        normalisation: CONFIG.PERFORMANCE_INDEX.normalisation,
+        weights: getComponentWeights(components),
+      };
+      const after = {
+        normalisation: normalisation || before.normalisation,
+        weights: { ...before.weights, ...(weights || {}) },
+      };
+      CONFIG.PERFORMANCE_INDEX.normalisation = after.normalisation;
+      Object.entries(after.weights).forEach(([id, weight]) => {
+        components[id].weight = weight;
+      });
+      const version = recordConfigChange(
+        "performance-index",
+        "default",
+        before,
+        after,
+        req.user.sub
+      );
+      recordAudit(req, "config.performance_index.update", {
+        target: `version ${version}`,
+        details: { normalisation, weights },
+      });
+      res.json({ version, ...after });
+    } catch (error) {
+      logDataQuality(
+        `Error updating performance index config: ${error.message}`,
+        "error"
+      );
+      res
+        .status(500)
+        .json({ error: "Failed to update performance index config." });
+    }
+  }
+);
+
+// Protected endpoint listing configuration changes, newest first
+app.get(
+  "/api/config/history",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      const { section } = req.query;
+      const entries = configStore.history.filter(
+        (entry) => !section || entry.section === section
+      );
+      res.json({
+        version: configStore.version,
+        history: [...entries].reverse(),
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Failed to fetch config history." });
+    }
+  }
+);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  // Malformed JSON, or a body that is not an object or array, is the
+  // client's mistake
+  if (err.type === "entity.parse.failed")
+    return res
+      .status(400)
+      .json({ error: "Request body must be a JSON object." });
+  console.error(err.stack);
+  res.status(500).json({ error: "Something went wrong!" });
+});
+
+// Endpoint to get data quality metrics
+app.get(
+  "/api/data-quality",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      res.json({
+        snapshotId: activeSnapshotId,
+        metrics: dataQualityMetrics,
+        history: dataQualityHistory,
+        lastUpdated: new Date().toISOString(),
+      });
+    } catch (error) {
+      logDataQuality(
+        `Error fetching data quality metrics: ${error.message}`,
+        "error"
+      );
+      res.status(500).json({ error: "Failed to fetch data quality metrics." });
+    }
+  }
+);
+
+// Protected endpoint listing validation issues from the latest load
+app.get(
+  "/api/data-quality/issues",
+  verifyToken,
+  authorize("analysis:read"),
+  (req, res) => {
+    try {
+      const { severity, rule, district } = req.query;
+      if (severity && !VALIDATION_SEVERITIES.includes(severity))
+        return res.status(400).json({
+          error: `severity must be one of ${VALIDATION_SEVERITIES.join(", ")}.`,
+        });
+      if (rule && !VALIDATION_RULES.some((item) => item.id === rule))
+        return res.status(400).json({ error: "Unknown validation rule." });
+
+      let limit = 100;
+      let offset = 0;
+      for (const [name, min] of [
+        ["limit", 1],
+        ["offset", 0],
+      ]) {
+        if (req.query[name] === undefined) continue;
+        const value = parseInt(req.query[name], 10);
+        if (!Number.isInteger(value) || value < min)
+          return res.status(400).json({
+            error: `${name} must be an integer of at least ${min}.`,
+          });
+        if (name === "limit") limit = value;
+        else offset = value;
+      }
+
+      const districtId = district ? resolveDistrictId(district) : null;
+      if (district && !districtId)
+        return res.status(404).json({ error: "District not found." });
+
+      const issues = validationReport.issues.filter(
+        (issue) =>
+          (!severity || issue.severity === severity) &&
+          (!rule || issue.ruleId === rule) &&
+          (!districtId || issue.districtId === districtId)
+      );
+
+      const byRule = {};
+      const byDistrict = {};
+      issues.forEach((issue) => {
+        if (!byRule[issue.ruleId]) {
+          const ruleDef = VALIDATION_RULES.find(
+            (item) => item.id === issue.ruleId
+          );
+          byRule[issue.ruleId] = {
+            ruleId: issue.ruleId,
+            description: ruleDef.description,
+            severity: ruleDef.severity,
+            count: 0,
+          };
+        }
+        byRule[issue.ruleId].count++;
+
+        const key = issue.districtId || "unknown";
+        if (!byDistrict[key]) {
+          byDistrict[key] = {
+            districtId: issue.districtId,
+            name: issue.districtName,
+            count: 0,
+            bySeverity: {},
+          };
+        }
+        byDistrict[key].count++;
+        byDistrict[key].bySeverity[issue.severity] =
+          (byDistrict[key].bySeverity[issue.severity] || 0) + 1;
+      });
+
+      res.json({
+        snapshotId: activeSnapshotId,
+        checkedAt: validationReport.checkedAt,
+        total: issues.length,
+        limit,
+        offset,
+        byRule: Object.values(byRule).sort((a, b) => b.count - a.count),
+        byDistrict: Object.values(byDistrict).sort((a, b) => b.count - a.count),
+        issues: issues.slice(offset, offset + limit),
+      });
+    } catch (error) {
+      logDataQuality(
+        `Error fetching data quality issues: ${error.message}`,
+        "error"
+      );
+      res.status(500).json({ error: "Failed to fetch data quality issues." });
+    }
+  }
+);
+
 // Start server
 app.listen(PORT, () => {
   logDataQuality(`Server running on port ${PORT}`);